@@ -8,7 +8,8 @@
  *  
  *  tree = $('#tree-container').checkboxtree({
  *      // Initially selected values. If the value is not at the root level then
- *      // its parents have to be specified
+ *      // its parents have to be specified. With the exclusions option an
+ *      // item can be selected except some of its descendants.
  *      selected: [ {value: '0'}, {value: '110', parents: ['1', '11']} ],
  *      // Provide children for the given item. The children are provided for
  *      // the callback function, not returned
@@ -26,8 +27,126 @@
  *      multiChildrenProvider: function (items, callback) {
  *          callback([...]);
  *      },
+ *      // Optional. Find the items matching the quick search query on the
+ *      // server, including the ones which are not loaded yet. The items are
+ *      // provided with their parents; the missing parents are loaded with the
+ *      // multiChildrenProvider.
+ *      searchProvider: function (query, callback) {
+ *          callback([ {value: '110', title: 'Found', parents: ['1', '11']} ]);
+ *      },
+ *      // How a (un)checked item affects the others: 'cascade' (the default;
+ *      // the descendants follow the item, a parent is checked when all its
+ *      // children are), 'independent' (nothing else changes), 'down-only'
+ *      // (only the descendants follow), 'up-only' (only the parents follow),
+ *      // 'leaves-only' (only the loaded leaves are (un)checked, the parents
+ *      // follow them), 'single' (at most one item is selected, onSelect gets
+ *      // the previously selected item as the third argument),
+ *      // 'include-exclude' (a click cycles the item through included,
+ *      // excluded and neutral, both the included and the excluded states
+ *      // cascade like in the default mode; getSelected returns
+ *      // {included: [...], excluded: [...]} and the selected option takes
+ *      // the same object). A custom policy object, or the name of one added
+ *      // to $.fn.checkboxtree.policies, can be given as well.
+ *      selectionMode: 'cascade',
+ *      // The type of the inputs: 'checkbox' or 'radio'. Defaults to radio
+ *      // buttons in the single mode and to checkboxes otherwise. The radio
+ *      // buttons of a tree share a generated name so they form one group;
+ *      // they are not submitted with the form.
+ *      inputType: null,
+ *      // Which items can be selected: 'all', 'leaves' or a depth (0 for the
+ *      // root items) - meant for the single mode. The other items are
+ *      // rendered without an input.
+ *      selectableItems: 'all',
+ *      // Optional. Render only the visible rows which fit in a scrollable
+ *      // viewport instead of the whole nested list. Use it for very large
+ *      // trees. `true` uses the default sizes (in pixels).
+ *      virtual: {rowHeight: 20, height: 400, indent: 20},
+ *      // What getSelected returns: 'topmost' (the topmost checked item of
+ *      // each branch), 'leaves' (the checked items without loaded children;
+ *      // the ones whose children are not loaded yet are flagged with
+ *      // `unloaded: true`), 'all' (every checked item) or 'paths' (the
+ *      // topmost items as '1/11/110' strings).
+ *      selectedOutput: 'topmost',
+ *      // Remember the items checked as a whole when some of their
+ *      // descendants are unchecked later (meant for the cascade mode and
+ *      // for huge trees loaded on demand). The topmost getSelected output
+ *      // and the selected option use {value: '1', except: ['110']} for
+ *      // them. The excluded descendants may be given as {value, parents}
+ *      // objects so that their branches are displayed as partially checked
+ *      // before they are loaded.
+ *      exclusions: false,
+ *      // Limits of the number of selected items (as returned by
+ *      // getSelected). The changes which would break them are rolled back
+ *      // and explained in the message area; validate() checks the current
+ *      // selection. maxPerParent limits the selected children of any parent
+ *      // and the selected root items; a list gives the limit for each depth
+ *      // of the children (0 for the root items).
+ *      minSelected: 0,
+ *      maxSelected: null,
+ *      maxPerParent: null,
+ *      // Submit the selection with the surrounding form: a hidden input with
+ *      // this name is kept for every item getSelected returns (the paths in
+ *      // the 'paths' output). The excluded items of the include-exclude mode
+ *      // and the `except` values are submitted as <name>_excluded and
+ *      // <name>_except. A reset of the form restores the initial selection.
+ *      name: null,
+ *      // Render the titles and descriptions of all the items as HTML instead
+ *      // of text. Use it only for trusted data.
+ *      allowHtml: false,
+ *      // Render an icon for every item: the icon and iconOpen of the item or
+ *      // the classes of $.fn.checkboxtree.iconDefaults for the parents and
+ *      // the leaves. Without it only the items with an icon get one.
+ *      icons: false,
+ *      // Optional. Render the content of the row after the checkbox instead of
+ *      // the title. Gets the item and its state: {depth, parents, checked,
+ *      // partial, excluded, open, disabled, selectable, titleHtml (the
+ *      // escaped title)} and returns HTML; escape the item data with
+ *      // $.fn.checkboxtree.escapeHtml. The content is rendered when the row
+ *      // is drawn, later changes of the state only update the classes of the
+ *      // LI element. A click on an element with a data-action attribute
+ *      // triggers the checkboxtree:action event instead of a check.
+ *      itemRenderer: function (item, info) {
+ *          return info.titleHtml + ' <span class="badge">3</span>';
+ *      },
+ *      // Render the tree only to show the selection, e.g. on a review page:
+ *      // the inputs are disabled and no links, quick search or handlers are
+ *      // added. `prune` hides the items with no selection in their branch.
+ *      readOnly: false,
+ *      prune: false,
  *      // A callback called when a item is (un)selected.
  *      onSelect: function (item, newState) {
+ *      },
+ *      // A callback called with every change of the selection. The change
+ *      // object lists all the values which became checked and unchecked,
+ *      // including the cascaded descendants and ancestors:
+ *      //  {
+ *      //      item: <the clicked or selected item or null>,
+ *      //      cause: 'user' | 'selectAll' | 'unselectAll' | 'api' | 'load' |
+ *      //          'reset',
+ *      //      checked: ['value', ...],
+ *      //      unchecked: ['value', ...],
+ *      //      // In the include-exclude mode only:
+ *      //      excluded: ['value', ...],
+ *      //      unexcluded: ['value', ...]
+ *      //  }
+ *      onChange: function (change) {
+ *      },
+ *      // Optional. Called before a user click (or select(), unselect(),
+ *      // toggleSelected()) changes the selection. `affected` lists the values
+ *      // which would become checked and unchecked: {checked: [], unchecked:
+ *      // []}. Return false to cancel the change (the checkbox and the cascade
+ *      // are rolled back), true to allow it or a modified `affected` object to
+ *      // change only the listed values; returning nothing allows it too. To
+ *      // decide asynchronously declare the `done` argument, return nothing
+ *      // and pass the answer to it instead; the changes made meanwhile wait
+ *      // for the answer.
+ *      beforeSelect: function (item, newState, affected, done) {
+ *          return true;
+ *      },
+ *      // Optional. Called before an item is opened; answers the same way as
+ *      // beforeSelect (true or false).
+ *      beforeExpand: function (item, done) {
+ *          return true;
  *      }
  *  });
  *
@@ -43,15 +162,121 @@
  *  hide()
  *  Cleanup. Currently just resets the quick search input
  *
- *  getSelected()
- *  Return the selected items with their parents
+ *  getSelected(output)
+ *  Return the selected items with their parents. The output strategy defaults
+ *  to the selectedOutput option. The result is built from an index of the
+ *  checked items once and then updated with the branches the later changes
+ *  touch.
+ *
+ *  selectAll(), unselectAll()
+ *  Check or uncheck all the items
+ *
+ *  validate()
+ *  Check the selection against the minSelected, maxSelected and maxPerParent
+ *  options and show the first problem in the message area. Return the list of
+ *  errors (empty if the selection is valid) in the form:
+ *  {type: 'maxPerParent', limit: 3, count: 4, parent: 'value', message: '...'}
+ *  The parent is null for the root level and the other types.
+ *
+ *  select(nodes, callback), unselect(nodes, callback)
+ *  Check or uncheck the given items the same way a user click does and call
+ *  onSelect for each of them. The nodes are values or {value, parents}
+ *  objects (a single one or a list, e.g. the result of getSelected); the
+ *  missing parents are loaded with the multiChildrenProvider first. The
+ *  callback is called when done.
+ *
+ *  setSelected(nodes, callback)
+ *  Replace the whole selection with the given nodes
+ *
+ *  toggleSelected(node, callback)
+ *  Check the item if it is not checked and uncheck it otherwise. In the
+ *  include-exclude mode move it to the next state as a click does.
+ *
+ *  exclude(nodes, callback)
+ *  Mark the given items as excluded in the include-exclude mode
+ *
+ *  The checked and open states of the items are kept in a state model which
+ *  does not depend on the DOM; the displayed tree only reflects it. The model
+ *  can be queried and changed before (or without) calling display():
+ *
+ *  isChecked(value), isOpen(value), isExcluded(value)
+ *  Return the checked (included), open or excluded state of the item with the
+ *  given value
+ *
+ *  isPartial(value)
+ *  Return true if the item is not checked but some of its descendants are.
+ *  Such items are displayed as indeterminate checkboxes in a LI with the
+ *  `partial` class.
+ *
+ *  setChecked(value, state)
+ *  Check or uncheck the item the same way a click on its checkbox does and
+ *  return the list of values which changed
+ *
+ *  expand(value, callback), collapse(value, callback), toggle(value, callback)
+ *  Open, close or toggle the item. The children marked with '?' are loaded
+ *  first; the callback is called when the item is done.
+ *
+ *  expandAll(depth, callback), collapseAll(callback)
+ *  Open the items up to the given depth (all of them if no depth is given)
+ *  loading the children when needed, or close all the items
+ *
+ *  expandTo(node, callback)
+ *  Load and open all the ancestors of the node so that it is visible. The node
+ *  is a value or a {value, parents} object; the parents of an item which is
+ *  not loaded yet are taken from it or from the `selected` option.
+ *
+ *  The items are opened like by expand(), so beforeExpand is asked for each of
+ *  them and the expand events are triggered.
+ *
+ *  These methods work before and after display().
+ *
+ *  The tree triggers jQuery events on the target element so that any part of
+ *  the page can follow it. The handlers get the event and a data object with
+ *  the `item` and its `parents` (values) where an item is involved:
+ *
+ *  checkboxtree:expand, checkboxtree:collapse - an item was opened or closed
+ *  checkboxtree:expandall, checkboxtree:collapseall - expandAll() is done or
+ *      collapseAll() was called
+ *  checkboxtree:loadstart, checkboxtree:load - the children of the item are
+ *      requested from the childrenProvider and are loaded (`children`). The
+ *      multiChildrenProvider requests have no item but the `levels` of values.
+ *  checkboxtree:change - the selection changed, with the onChange data
+ *  checkboxtree:search - the items were filtered by the `query`; triggered
+ *      again with the `found` items when the searchProvider responds
+ *  checkboxtree:action - an element with a data-action attribute in the row
+ *      content was clicked (`action` is the attribute value)
+ *  checkboxtree:rendered - display() is done
+ *  checkboxtree:destroy - the tree is about to be destroyed
+ *
+ *  The tree follows the WAI-ARIA tree pattern and can be operated with the
+ *  keyboard: Up/Down move between the visible items, Home/End jump to the
+ *  first/last one, Right opens an item or moves to its first child, Left
+ *  closes it or moves to its parent, Space (un)checks the item, Enter opens or
+ *  closes a parent and (un)checks a leaf, `*` opens all the siblings.
+ *
+ *  search(query)
+ *  Filter the loaded items by their title and description on all levels. The
+ *  ancestors of the matching items stay visible and are opened; an empty query
+ *  restores the open states from before the search. This is what the quick
+ *  search input does.
  *
  *  A item is an object in the form:
  *
  *  {
  *      value: 'some-value',
  *      title: 'Some Title',
- *      children: [...]     // A list of items. If to-be-loaded then '?'
+ *      titleHtml: '<b>Some</b> Title', // Optional. A trusted title rendered
+ *                          // as HTML; the title and desc are escaped
+ *      icon: 'pdf',        // Optional. The class of the icon (added to
+ *      iconOpen: 'box',    // `icon`), iconOpen is used for an open parent
+ *      className: 'pdf',   // Optional. Classes added to the LI element
+ *      attrs: {'data-type': 'file'}, // Optional. data-* and title attributes
+ *                          // of the LI element
+ *      tooltip: 'Text',    // Optional. The title of the label
+ *      children: [...],    // A list of items. If to-be-loaded then '?'
+ *      disabled: true,     // Optional. The checkbox is disabled and its state
+ *                          // (and the state of the descendants) is fixed
+ *      selectable: false   // Optional. A group header without a checkbox
  *  }
  *
  *  If an item has children they can be provided in a list directly or could be
@@ -63,7 +288,8 @@
  *
  *  {
  *      value: 'some-value',
- *      parents: ['parent-level-0', 'parent-level-1', ...]
+ *      parents: ['parent-level-0', 'parent-level-1', ...],
+ *      except: ['excluded-value', ...]  // Only with the exclusions option
  *  }
  *
  *  The same nodes can be supplied to the `selected` option.
@@ -92,16 +318,169 @@
         selected: [],
         onSelect: function (item, newState) {
         },
+        onChange: function (change) {
+        },
+        beforeSelect: null,
+        beforeExpand: null,
         childrenProvider: function (item, callback) {
             callback([]);
         },
         multiChildrenProvider: function (items, callback) {
             callback([]);
+        },
+        searchProvider: null,
+        selectionMode: 'cascade',
+        inputType: null,
+        selectableItems: 'all',
+        virtual: false,
+        selectedOutput: 'topmost',
+        exclusions: false,
+        name: null,
+        allowHtml: false,
+        icons: false,
+        itemRenderer: null,
+        readOnly: false,
+        prune: false,
+        minSelected: 0,
+        maxSelected: null,
+        maxPerParent: null
+    };
+
+    // The default icon classes of the icons option
+    $.fn.checkboxtree.iconDefaults = {
+        folder: 'folder',
+        folderOpen: 'folder_open',
+        leaf: 'leaf'
+    };
+
+    // The text of the expander of a parent row when the item is closed, open
+    // and while its children are loading
+    $.fn.checkboxtree.expanderText = {
+        closed: '+',
+        open: '-',
+        loading: '...'
+    };
+
+    // The messages shown when a selection limit is not met. {limit} is
+    // replaced by the limit and {title} by the title of the parent.
+    $.fn.checkboxtree.messages = {
+        minSelected: 'Select at least {limit} items',
+        maxSelected: 'Select at most {limit} items',
+        maxPerParent: 'Select at most {limit} items in {title}',
+        topLevel: 'the top level'
+    };
+
+    // The default sizes of the virtual rendering mode
+    $.fn.checkboxtree.virtualDefaults = {
+        rowHeight: 20,
+        height: 400,
+        indent: 20,
+        // The number of rows rendered above and below the viewport
+        overscan: 10
+    };
+
+    // The selection policies. `check` applies (un)checking of the given item
+    // to the state model and appends the changed values to `changed`. An
+    // optional `checkAll` does the same for Select All / Unselect All; by
+    // default all the loaded items get the state. `inherit` tells whether the
+    // newly loaded children take the checked state of their parent, `up`
+    // whether the ancestors follow the state of their children. The methods
+    // are called with the tree as `this`.
+    $.fn.checkboxtree.policies = {
+        cascade: {
+            inherit: true,
+            up: true,
+            check: function (value, state, changed) {
+                this.checkDown(value, state, changed);
+                this.checkUp(value, state, changed);
+            }
+        },
+        independent: {
+            inherit: false,
+            check: function (value, state, changed) {
+                this.setState(value, state, changed);
+            }
+        },
+        'down-only': {
+            inherit: true,
+            check: function (value, state, changed) {
+                this.checkDown(value, state, changed);
+            }
+        },
+        'up-only': {
+            inherit: false,
+            up: true,
+            check: function (value, state, changed) {
+                this.setState(value, state, changed);
+                this.checkUp(value, state, changed);
+            }
+        },
+        'leaves-only': {
+            inherit: true,
+            up: true,
+            check: function (value, state, changed) {
+                if (this.itemTree[value].children === '?') {
+                    // No leaves loaded, nothing to check
+                    return;
+                }
+                this.checkLeaves(value, state, changed);
+                this.checkUp(value, this.itemTree[value].checked, changed);
+            }
+        },
+        'include-exclude': {
+            inherit: true,
+            up: true,
+            tristate: true,
+            check: function (value, state, changed) {
+                var excluded = state === 'excluded';
+                state = state === true;
+                this.checkDown(value, state, changed);
+                this.checkUp(value, state, changed);
+                this.excludeDown(value, excluded);
+                this.excludeUp(value, excluded);
+            }
+        },
+        single: {
+            inherit: false,
+            single: true,
+            check: function (value, state, changed) {
+                var other;
+                if (state) {
+                    for (other in this.itemTree) {
+                        if (this.itemTree.hasOwnProperty(other) &&
+                                other !== value) {
+                            this.setState(other, false, changed);
+                        }
+                    }
+                }
+                this.setState(value, state, changed);
+            },
+            checkAll: function (state, changed) {
+                var value;
+                // Only unselecting everything makes sense
+                if (!state) {
+                    for (value in this.itemTree) {
+                        if (this.itemTree.hasOwnProperty(value)) {
+                            this.setState(value, false, changed);
+                        }
+                    }
+                }
+            }
         }
     };
 
     // Helper functions
 
+    // Escape the text to be put into HTML (including attribute values)
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+            replace(/>/g, '&gt;').replace(/"/g, '&quot;').
+            replace(/'/g, '&#39;');
+    }
+
+    // Renderers (the itemRenderer option) can use it too
+    $.fn.checkboxtree.escapeHtml = escapeHtml;
+
     // Return True if the array or object is empty
     function isEmpty(o) {
         var i;
@@ -129,11 +508,105 @@
         }
     }
 
+    // Copy the getSelected items (or paths) so that the caller can change
+    // them
+    function copyItems(list) {
+        var copy = [], i;
+        for (i = 0; i < list.length; i += 1) {
+            copy.push(typeof list[i] === 'string' ? list[i] :
+                    $.extend(true, {}, list[i]));
+        }
+        return copy;
+    }
+
+    // Order the getSelected entries as the items are in the tree
+    function comparePaths(a, b) {
+        var i;
+        for (i = 0; i < a.path.length && i < b.path.length; i += 1) {
+            if (a.path[i] !== b.path[i]) {
+                return a.path[i] - b.path[i];
+            }
+        }
+        return a.path.length - b.path.length;
+    }
+
+
+    // Used to give the radio buttons of each tree a name of their own
+    var treeCount = 0;
+
+    // Which of the checked and selectable items getSelected returns for each
+    // output strategy. Called with the tree as `this`.
+    var outputFilters = {
+        topmost: function (value, state) {
+            return this.isTopSelected(value, state);
+        },
+        leaves: function (value) {
+            var children = this.itemTree[value].children;
+            return typeof children !== 'object' || isEmpty(children);
+        },
+        all: function () {
+            return true;
+        },
+        paths: function (value, state) {
+            return this.isTopSelected(value, state);
+        }
+    };
 
     CheckboxTree.prototype = {
         init: function () {
             this.items = [];
             this.itemTree = {};
+            // The values of the checked items and the sorted getSelected
+            // lists built from them (for each output and state). Every change
+            // of the state model marks the value in selectedDirty and only
+            // the marked branches are looked at again (see updateSelected).
+            this.checkedIndex = {};
+            this.selectedCache = {};
+            this.selectedDirty = {};
+            // The items checked as a whole (with the exclusions option) and
+            // their excluded descendants which are not loaded yet:
+            // {value: {anchor: value, parents: [...] or null}}
+            this.anchors = {};
+            this.pending = {};
+            // Set while expandAll opens many items at once
+            this.deferReflow = false;
+            // Set while a beforeSelect decision is pending and the changes
+            // waiting for it
+            this.deciding = false;
+            this.decisions = [];
+            // The excluded items of the include-exclude mode and their state
+            // when onChange was called last
+            this.excludedIndex = {};
+            this.notifiedExcluded = {};
+            this.searchQuery = '';
+            this.searchOpen = null;
+            this.searchFound = {};
+            this.policy = this.options.selectionMode;
+            this.inputType = this.options.inputType;
+            if (typeof this.policy !== 'object') {
+                this.policy = $.fn.checkboxtree.policies[this.policy];
+                if (!this.policy) {
+                    throw new Error('Unknown selection mode: ' +
+                        this.options.selectionMode);
+                }
+            }
+            if (!this.inputType) {
+                this.inputType = this.policy.single ? 'radio' : 'checkbox';
+            }
+            treeCount += 1;
+            this.radioName = 'checkboxtree_' + treeCount;
+            if (this.policy.tristate && !$.isArray(this.options.selected)) {
+                this.options.selected = this.triStateNodes(
+                    this.options.selected);
+            }
+            this.virtual = null;
+            this.rows = null;
+            this.rowIndex = {};
+            this.rowStart = 0;
+            if (this.options.virtual) {
+                this.virtual = $.extend({}, $.fn.checkboxtree.virtualDefaults,
+                    this.options.virtual === true ? {} : this.options.virtual);
+            }
 
             var that = this;
             this.options.childrenProvider.call(this, undefined,
@@ -145,27 +618,57 @@
 
         list: function () {
             // Will return UL if it exists
+            if (this.virtual) {
+                return this.target.children('div.checkbox_tree_viewport').
+                    children('ul');
+            }
             return this.target.children('ul');
         },
 
         // Convert a recursive list of nodes into a lookup (dict) for fast
         // search and access
         toItems: function (parent, items) {
-            var treeItem, i, item;
+            var treeItem, i, item, checked = false, excluded = [], changed,
+                excludedState = false;
             if (parent) {
                 treeItem = this.itemTree[parent];
                 if (treeItem.children === '?' || isEmpty(treeItem.children)) {
                     treeItem.item.children = items;
                     treeItem.children = {};
                 }
+                // Newly loaded children follow the state of their parent
+                // (which is unchecked if it has excluded descendants)
+                checked = this.policy.inherit && (!!treeItem.checked ||
+                    this.hasPending(parent));
+                excludedState = !!treeItem.excluded;
             } else {
                 this.items = items;
             }
+            if (parent) {
+                this.markSelected(parent);
+            } else {
+                this.selectedCache = {};
+            }
             for (i = 0; i < items.length; i += 1) {
                 item = items[i];
                 treeItem = {
-                    item: item
+                    item: item,
+                    index: i,
+                    checked: checked,
+                    excluded: excludedState,
+                    partial: false,
+                    open: false,
+                    hidden: false
                 };
+                if (checked && !isEmpty(this.pending)) {
+                    if (this.pending.hasOwnProperty(item.value)) {
+                        treeItem.checked = false;
+                        excluded.push(item.value);
+                    } else if (this.hasPending(item.value)) {
+                        treeItem.checked = false;
+                        treeItem.partial = true;
+                    }
+                }
                 if (parent) {
                     treeItem.parent = parent;
                     if (!this.itemTree[parent].children.hasOwnProperty(
@@ -174,6 +677,10 @@
                     }
                 }
                 this.itemTree[item.value] = treeItem;
+                this.indexState(item.value, treeItem.checked);
+                if (excludedState) {
+                    this.excludedIndex[item.value] = true;
+                }
 
                 if (item.children === '?') {
                     treeItem.children = '?';
@@ -181,6 +688,19 @@
                     this.toItems(item.value, item.children);
                 }
             }
+            if (excluded.length) {
+                // The excluded items are in the state model now; their
+                // ancestors may not know about them yet
+                changed = [];
+                for (i = 0; i < excluded.length; i += 1) {
+                    delete this.pending[excluded[i]];
+                    this.checkUp(excluded[i], false, changed);
+                }
+                this.refreshPartial(excluded);
+                for (i = 0; i < changed.length; i += 1) {
+                    this.redraw(changed[i]);
+                }
+            }
         },
 
         // Return a tree item if exists
@@ -203,19 +723,10 @@
         },
 
         // Given a DOM node return the corresponding item from the source item
-        // list
+        // list. The LI elements carry the values in the data-value attribute.
         getItemFromDom: function (node) {
-            var li = $(node).closest('li'),
-                indices = [], item = null, items = this.items, i;
-            while (li.length) {
-                indices.unshift(li.prevAll().length);
-                li = li.parent().parent('li');
-            }
-            for (i = 0; i < indices.length; i += 1) {
-                item = items[indices[i]];
-                items = item.children;
-            }
-            return item;
+            var li = $(node).closest('li');
+            return this.treeItem(li.attr('data-value')).item || null;
         },
 
         // Load the bare minimum of values which are needed to select the
@@ -224,12 +735,47 @@
             if (isEmpty(this.options.selected)) {
                 // Nothing to select, nothing to load
                 this.options.onSelect.call(this);
+                this.notifyChange('load', null, []);
                 return;
             }
+            var that = this;
+            this.waitingForValues = true;
+            this.loadPaths(this.options.selected, function () {
+                var changed = that.applySelected();
+                that.waitingForValues = false;
+                if (that.displayOnMultiItems) {
+                    that.displayOnMultiItems = false;
+                    that.display();
+                }
+                that.options.onSelect.call(that);
+                that.notifyChange('load', null, changed);
+            });
+        },
+
+        // Trigger the namespaced jQuery event on the target. The data object
+        // gets the item of the given value (if any) and its parents.
+        fire: function (name, value, data) {
+            data = $.extend({
+                item: null,
+                parents: []
+            }, data);
+            if (value !== null && value !== undefined &&
+                    this.itemTree.hasOwnProperty(value)) {
+                data.item = this.itemTree[value].item;
+                data.parents = this.getParents(value);
+            }
+            this.target.trigger('checkboxtree:' + name, [data]);
+        },
+
+        // Load the bare minimum of values which are needed to reach the given
+        // nodes (in the {value, parents} form) with a single
+        // multiChildrenProvider call. The callback gets the list of values
+        // whose children were loaded.
+        loadPaths: function (nodes, callback) {
             var that = this, toOpen = [], parents,
                 s, p, v, prevValue, value;
-            for (s = 0; s < this.options.selected.length; s += 1) {
-                parents = this.options.selected[s].parents || [];
+            for (s = 0; s < nodes.length; s += 1) {
+                parents = nodes[s].parents || [];
                 p = 0;
                 while (p < parents.length &&
                     typeof this.treeItem(parents[p]).children === 'object') {
@@ -252,7 +798,8 @@
                     for (v = 0; v < toOpen[p].length; v += 1) {
                         value = toOpen[p][v];
                         if (value === prevValue) {
-                            toOpen[p].splice(v, v);
+                            toOpen[p].splice(v, 1);
+                            v -= 1;
                         } else {
                             prevValue = value;
                         }
@@ -264,356 +811,2408 @@
             }
 
             if (toOpen.length === 0) {
-                this.options.onSelect.call(this);
+                callback([]);
             } else {
-                this.waitingForValues = true;
+                this.fire('loadstart', null, {levels: toOpen});
                 this.options.multiChildrenProvider.call(this, toOpen,
                         function (newItems) {
-                    var i, newItem;
+                    var loaded = [], i, newItem;
                     for (i = 0; i < newItems.length; i += 1) {
                         newItem = newItems[i];
                         that.toItems(newItem.value, newItem.subtree);
+                        loaded.push(newItem.value);
                     }
-
-                    that.waitingForValues = false;
-                    if (that.displayOnMultiItems) {
-                        that.displayOnMultiItems = false;
-                        that.display();
+                    // The loaded children of a checked item may be selected
+                    that.updateFields();
+                    for (i = 0; i < loaded.length; i += 1) {
+                        that.fire('load', loaded[i], {
+                            children: that.childItems(loaded[i])
+                        });
                     }
-                    that.options.onSelect.call(that);
+                    callback(loaded);
                 });
             }
         },
 
-        // Create a checkbox check handler. A single handler is bound to the
-        // container and listens to all events.
-        makeClickHandler: function () {
-            var that = this;
-
-            // Handle the checkbox click
-            function handleCheckbox(e) {
-                $(this).parent().next('ul').find('input').
-                    attr('checked', this.checked);
-
-                function checkAllChecked(li) {
-                    if (!li.is('li')) {
-                        return false;
-                    }
-                    if (!li.parent().parent().is('li')) {
-                        return false;
+        // Mark the initially selected values (the `selected` option) as
+        // checked in the state model and open their parents. Return the list
+        // of values which changed.
+        applySelected: function () {
+            var selected = this.options.selected || [],
+                changed = [], parents, s, p, value;
+            for (s = 0; s < selected.length; s += 1) {
+                value = selected[s].value;
+                if (this.itemTree.hasOwnProperty(value)) {
+                    if (this.itemTree[value].item.disabled) {
+                        // The fixed state comes from here
+                        this.storeState(value, true);
+                        changed.push(value);
+                    } else if (selected[s].excluded && this.policy.tristate) {
+                        this.policy.check.call(this, value, 'excluded',
+                            changed);
+                    } else if (this.policy.single) {
+                        // The last one wins
+                        this.policy.check.call(this, value, true, changed);
+                    } else if (this.policy.inherit) {
+                        this.checkDown(value, true, changed);
+                    } else {
+                        this.setState(value, true, changed);
                     }
-
-                    var nodes = li.siblings().children('label').children(), n;
-                    for (n = 0; n < nodes.length; n += 1) {
-                        if (!nodes[n].checked) {
-                            return false;
-                        }
+                    if (this.options.exclusions) {
+                        this.anchors[value] = true;
+                        this.applyExcept(value, selected[s].except || [],
+                            changed);
                     }
-                    return true;
-                }
-                var li, item;
-                if (this.checked) {
-                    li = $(this).parent().parent();
-                    while (checkAllChecked(li)) {
-                        li = li.parent().parent();
-                        li.children('label').children().attr('checked', true);
+                    this.refreshPartial([value]);
+                    parents = this.getParents(value);
+                    for (p = 0; p < parents.length; p += 1) {
+                        this.itemTree[parents[p]].open = true;
                     }
-                } else {
-                    $(this).parents('li:gt(0)').children('label').children().
-                            removeAttr('checked');
                 }
-                item = that.getItemFromDom(this);
-                that.options.onSelect.call(that, item, this.checked);
             }
+            return changed;
+        },
 
-            // Handle the LI element click
-            function handleList(e) {
-                var $this = $(this), list, item, param;
-                function checkDescendants(list) {
-                    if ($this.children('label').children().is(':checked')) {
-                        list.find('input').attr('checked', 'checked');
-                    }
-                }
-                if ($this.hasClass('closed')) {
-                    $this.removeClass('closed');
-                    list = $this.children('ul');
-                    if (list.length) {
-                        checkDescendants(list);
-                    } else {
-                        list = $('<ul>Loading...</ul>').appendTo($this);
-                        item = that.getItemFromDom($this);
-                        param = $.extend(true, {
-                            parents: that.getParents(item.value)
-                        }, item);
-                        that.options.childrenProvider.call(that, param,
-                                function (items) {
-                            that.toItems(item.value, $.extend(true, [], items));
-                            var listHtml = [], n;
-                            for (n = 0; n < items.length; n += 1) {
-                                listHtml.push(that.itemHtml(items[n]));
-                            }
-                            list.empty().html(listHtml.join(''));
-                            checkDescendants(list);
-                        });
-                    }
-                } else {
-                    $this.addClass('closed');
-                }
+        // Turn the {included, excluded} selection of the include-exclude mode
+        // into a list of nodes, the excluded ones flagged
+        triStateNodes: function (selected) {
+            var nodes, n;
+            selected = selected || {};
+            nodes = (selected.included || []).slice();
+            for (n = 0; n < (selected.excluded || []).length; n += 1) {
+                nodes.push($.extend({}, selected.excluded[n],
+                    {excluded: true}));
             }
+            return nodes;
+        },
 
-            this.clickHandler = function (e) {
-                var target = $(e.target);
-                if (target.closest('input').length) {
-                    // The checkbox was clicked
-                    handleCheckbox.call(e.target, e);
-                } else if (target.closest('label').length) {
-                    // skip - if a label is clicked, the input will get another
-                    // event
-                } else if (target.closest('li').length) {
-                    // The list element was clicked
-                    handleList.call(e.target, e);
+        // Load the children of the given item with the childrenProvider and
+        // add them to the itemTree. While the children are loading the
+        // callbacks of the repeated calls are queued.
+        loadChildren: function (value, callback) {
+            var that = this, treeItem = this.itemTree[value], param;
+            if (treeItem.loading) {
+                treeItem.loading.push(callback);
+                return;
+            }
+            treeItem.loading = [callback];
+            param = $.extend(true, {
+                parents: this.getParents(value)
+            }, treeItem.item);
+            this.fire('loadstart', value);
+            this.options.childrenProvider.call(this, param, function (items) {
+                var callbacks = treeItem.loading, c;
+                treeItem.loading = false;
+                that.toItems(value, $.extend(true, [], items));
+                // The loaded children of a checked item may be selected
+                that.updateFields();
+                that.fire('load', value, {children: treeItem.item.children});
+                for (c = 0; c < callbacks.length; c += 1) {
+                    callbacks[c](treeItem.item.children);
                 }
-            };
+            });
         },
 
-        // Construct the item HTML taking into account which nodes have to be
-        // checked (given by toSelect)
-        itemHtml: function (item, toSelect) {
-            var li = '<li',
-                input = '<input type="checkbox"',
-                label, title, classes, children, c;
-                
-            toSelect = toSelect || {};
+        // The state model. The checked and open states live in the itemTree
+        // and are only reflected by the DOM.
 
-            if (toSelect.hasOwnProperty(item.value)) {
-                input += 'checked="checked" />';
-            } else {
-                input += ' />';
-            }
+        // Return true if the item of the given value is checked
+        isChecked: function (value) {
+            return !!this.treeItem(value).checked;
+        },
 
-            label = '<label>' + input;
-            title = item.title || item.value;
-            if (item.desc) {
-                title += ' - ' + item.desc;
+        // Return true if the item of the given value is excluded (in the
+        // include-exclude mode)
+        isExcluded: function (value) {
+            return !!this.treeItem(value).excluded;
+        },
+
+        // Return true if the item of the given value is not checked but some
+        // of its descendants are
+        isPartial: function (value) {
+            return !!this.treeItem(value).partial;
+        },
+
+        // Return true if the item of the given value is open (expanded)
+        isOpen: function (value) {
+            return !!this.treeItem(value).open;
+        },
+
+        // Return the list of child items of the given value (or of the root
+        // level if value is null) which are already loaded
+        childItems: function (value) {
+            var children;
+            if (value === null || value === undefined) {
+                return this.items;
+            }
+            children = this.treeItem(value).children;
+            if (typeof children === 'object') {
+                return this.itemTree[value].item.children;
             }
-            label += title + '</label>';
+            return [];
+        },
 
-            classes = [];
-            children = '';
-            if (item.children) {
-                classes.push('has_children');
-                if (typeof item.children === 'object') {
-                    children = ['<ul>'];
-                    for (c = 0; c < item.children.length; c += 1) {
-                        children.push(this.itemHtml(item.children[c],
-                            toSelect));
-                    }
-                    children.push('</ul>');
-                    children = children.join('');
-                    if (children.indexOf('checked="checked"') === -1) {
-                        classes.push('closed');
-                    }
-                } else {
-                    classes.push('closed');
+        // Return true if all the loaded children of the given value are
+        // checked
+        allChildrenChecked: function (value) {
+            var children = this.childItems(value), c, child;
+            for (c = 0; c < children.length; c += 1) {
+                child = this.itemTree[children[c].value];
+                // The leaves without a checkbox do not count
+                if (!child.checked && (this.isSelectable(children[c].value) ||
+                        typeof child.children === 'object')) {
+                    return false;
                 }
             }
-            if (!isEmpty(classes)) {
-                li += ' class="' + classes.join(' ') + '">';
-            } else {
-                li += '>';
+            return true;
+        },
+
+        // Set the checked state of the item and of all its loaded
+        // descendants. The values which change are appended to `changed`.
+        // The disabled items and their descendants keep their state and
+        // the items above the unchecked ones stay unchecked.
+        checkDown: function (value, state, changed) {
+            var children = this.childItems(value), c;
+            if (this.itemTree[value].item.disabled) {
+                return;
+            }
+            this.setState(value, state, changed);
+            this.itemTree[value].partial = false;
+            for (c = 0; c < children.length; c += 1) {
+                this.checkDown(children[c].value, state, changed);
             }
-            li += label;
-            if (children !== '') {
-                li += children;
+            if (state && !this.allChildrenChecked(value)) {
+                this.setState(value, false, changed);
             }
-            li += '</li>';
-            return li;
         },
 
-        // Draw the checkbox tree. If the values have not been loaded wait for
-        // them to be loaded.
-        display: function () {
-            if (this.waitingForValues) {
-                this.displayOnMultiItems = true;
-                this.target.html('<span>Loading...</span>');
+        // Set the checked state of a single item unless it is disabled. If it
+        // changes the value is appended to `changed`.
+        setState: function (value, state, changed) {
+            var treeItem = this.itemTree[value];
+            if (treeItem.item.disabled) {
                 return;
             }
+            if (treeItem.checked !== state) {
+                this.storeState(value, state);
+                changed.push(value);
+            }
+        },
 
-            var select = {}, selectList, s, n,
-                list = [], length = 0, item,
-                searchTimeout = null, lastSearch = '',
-                that = this;
-            if (!isEmpty(this.options.selected)) {
-                selectList = this.options.selected;
-                for (s = 0; s < selectList.length; s += 1) {
-                    select[selectList[s].value] = null;
+        // Write the checked state into the state model. Every change goes
+        // through here to keep the selection index up to date.
+        storeState: function (value, state) {
+            this.itemTree[value].checked = state;
+            this.indexState(value, state);
+            this.markSelected(value);
+        },
+
+        // Remember that the getSelected lists may change in the branch of
+        // the item
+        markSelected: function (value) {
+            this.selectedDirty[value] = true;
+        },
+
+        // Add the checked item to the selection index or remove it
+        indexState: function (value, state) {
+            if (state) {
+                this.checkedIndex[value] = true;
+            } else {
+                delete this.checkedIndex[value];
+            }
+        },
+
+        // Return true if the value is the item or one of its ancestors
+        isWithin: function (value, ancestor) {
+            while (value) {
+                if (value === ancestor) {
+                    return true;
                 }
+                value = this.treeItem(value).parent;
             }
+            return false;
+        },
 
-            // Check the itemTree how many nodes we have. If we have more than 3
-            // (on all levels) then we'll show 'Select/Unselect all'
-            for (item in this.itemTree) {
-                if (this.itemTree.hasOwnProperty(item)) {
-                    length += 1;
-                    if (length > 20) {
-                        break;
+        // Return true if there are excluded items, which are not loaded yet,
+        // under the (anchor) item
+        hasPending: function (value) {
+            var excluded, entry;
+            for (excluded in this.pending) {
+                if (this.pending.hasOwnProperty(excluded)) {
+                    entry = this.pending[excluded];
+                    if (entry.anchor === value ||
+                            $.inArray(value, entry.parents || []) > -1) {
+                        return true;
                     }
                 }
             }
-            // Select All, Unselect All links
-            if (length > 3) {
-                list.push('<a href="#" class="select_all_items">' +
-                    'Select All</a> | ');
-                list.push('<a href="#" class="unselect_all_items">' +
-                    'Unselect All</a> ');
-            }
-            // Quick search input
-            if (length >= 3) {
-                list.push('<input type="text" class="quick_search"></input>');
-            }
+            return false;
+        },
 
-            list.push('<ul class="checkbox_tree">');
-            for (n = 0; n < this.items.length; n += 1) {
-                list.push(this.itemHtml(this.items[n], select));
+        // Forget the anchors within the item and the exclusions under it
+        // (the item is (un)checked as a whole). Return the loaded values
+        // whose partial state may change.
+        dropAnchors: function (value) {
+            var touched = [], anchor, excluded, entry, p;
+            for (anchor in this.anchors) {
+                if (this.anchors.hasOwnProperty(anchor) &&
+                        this.isWithin(anchor, value)) {
+                    delete this.anchors[anchor];
+                    this.markSelected(anchor);
+                }
             }
-            list.push('</ul>');
-            list = list.join('');
-            this.target.html(list);
-
-            // Create the click handler
-            this.makeClickHandler();
-            // Bind the click handler
-            this.target.click(this.clickHandler);
-            this.target.children('a.select_all_items').click(function () {
-                that.selectAll();
-                return false;
-            });
-            this.target.children('a.unselect_all_items').click(function () {
-                that.unselectAll();
-                return false;
-            });
-            // Implement the quick search functionality. The filtering happens
-            // in chunks because filtering all items at once takes a lot of time
-            // with numbers around 1K+. We want to prevent the UI freeze.
-            this.target.children('input.quick_search').keyup(function (e) {
-                var value = $(this).val().toLowerCase(),
-                    lis, textAttr,
-                    chunkSize = 100;
-                
-                if (searchTimeout) {
-                    window.clearTimeout(searchTimeout);
-                }
-                function filterChunk(lis, startFrom) {
-                    var i, li,
-                        max = Math.min(lis.length, startFrom + chunkSize);
-                    for (i = startFrom; i < max; i += 1) {
-                        li = lis[i];
-                        $(li).toggle(
-                                li[textAttr].toLowerCase().indexOf(value) > -1);
-                    }
-                    if (max < lis.length) {
-                        searchTimeout = window.setTimeout(function () {
-                            filterChunk(lis, max);
-                        }, 80);
-                    }
-                }
-                if (value) {
-                    if (value.indexOf(lastSearch) > -1) {
-                        lis = that.list().children('li:visible');
-                    } else {
-                        lis = that.list().children('li');
-                    }
-                    if (lis.length > 0) {
-                        textAttr = lis[0].innerText === undefined ?
-                                'textContent' : 'innerText';
-                        filterChunk(lis, 0);
+            for (excluded in this.pending) {
+                if (this.pending.hasOwnProperty(excluded)) {
+                    entry = this.pending[excluded];
+                    if (this.isWithin(entry.anchor, value) ||
+                            $.inArray(value, entry.parents || []) > -1) {
+                        delete this.pending[excluded];
+                        this.markSelected(entry.anchor);
+                        touched.push(entry.anchor);
+                        for (p = 0; p < (entry.parents || []).length; p += 1) {
+                            if (this.itemTree.hasOwnProperty(
+                                    entry.parents[p])) {
+                                touched.push(entry.parents[p]);
+                            }
+                        }
                     }
-                } else {
-                    that.list().children('li').show();
                 }
-                lastSearch = value;
-            }).focus(function () {
-                var $this = $(this);
-                if ($this.hasClass('empty')) {
-                    $this.removeClass('empty').val('');
+            }
+            return touched;
+        },
+
+        // Uncheck the excluded descendants (values or {value, parents}) of
+        // the checked anchor item. The ones which are not loaded yet are
+        // remembered and applied when they are.
+        applyExcept: function (anchor, except, changed) {
+            var touched = [anchor], e, value, parents, p;
+            for (e = 0; e < except.length; e += 1) {
+                value = typeof except[e] === 'object' ? except[e].value :
+                        except[e];
+                parents = except[e].parents || null;
+                if (this.itemTree.hasOwnProperty(value)) {
+                    this.policy.check.call(this, value, false, changed);
+                    touched.push(value);
+                    continue;
                 }
-            }).blur(function () {
-                var $this = $(this);
-                if ($this.val() === '') {
-                    $this.addClass('empty').val('Quick search');
+                this.pending[value] = {anchor: anchor, parents: parents};
+                this.checkUp(anchor, false, changed);
+                this.setState(anchor, false, changed);
+                for (p = 0; p < (parents || []).length; p += 1) {
+                    if (this.isWithin(parents[p], anchor) &&
+                            this.itemTree.hasOwnProperty(parents[p])) {
+                        this.setState(parents[p], false, changed);
+                        touched.push(parents[p]);
+                    }
                 }
-            }).blur();
+            }
+            this.refreshPartial(touched);
+            this.markSelected(anchor);
         },
 
-        // Remove the Checkbox tree and unbind the click handlers
-        destroy: function () {
-            this.target.empty().unbind('click');
+        // Follow the change of the item by its ancestors: when checked the
+        // parents get checked as long as all their children are checked,
+        // when unchecked all the ancestors get unchecked
+        checkUp: function (value, state, changed) {
+            var parent = this.itemTree[value].parent;
+            while (parent && (!state || this.allChildrenChecked(parent))) {
+                this.setState(parent, state, changed);
+                parent = this.itemTree[parent].parent;
+            }
         },
 
-        // Return a list of selected values
-        getSelected: function (root, items, parents) {
-            var selected = [], item, nodes, inputs, n, node, s,
-                childrenList, selectedList;
-            root = root || this.list();
-            items = items || this.items;
-            if (root.length) {
-                // The widget was displayed - we will use DOM to find the
-                // selected nodes.
-                // FIXME: this is *SLOW* for lots of values, esp in IE
-                parents = parents || [];
-                nodes = root.children();
-                inputs = nodes.children('label').children();
-                for (n = 0; n < nodes.length; n += 1) {
-                    node = nodes[n];
-                    item = items[n];
-                    if (inputs[n].checked) {
-                        item = $.extend(true, {}, item);
-                        if (!isEmpty(parents)) {
-                            item.parents = parents.slice();
-                        }
-                        selected.push(item);
-                    } else {
-                        childrenList = $(node).children();
-                        if (childrenList.length > 1) {
-                            parents.push(item.value);
-                            selected = selected.concat(this.getSelected(
-                                $(childrenList[1]), item.children, parents));
-                            parents.pop();
+        // Set the excluded state of the item and of all its loaded
+        // descendants, skipping the disabled ones
+        excludeDown: function (value, state) {
+            var children = this.childItems(value), c;
+            if (this.itemTree[value].item.disabled) {
+                return;
+            }
+            this.setExcluded(value, state);
+            this.itemTree[value].partial = false;
+            for (c = 0; c < children.length; c += 1) {
+                this.excludeDown(children[c].value, state);
+            }
+        },
+
+        // Follow the excluded state of the item by its ancestors: a parent is
+        // excluded as long as all its children are
+        excludeUp: function (value, state) {
+            var parent = this.itemTree[value].parent, children, c;
+            while (parent) {
+                if (state) {
+                    children = this.childItems(parent);
+                    for (c = 0; c < children.length; c += 1) {
+                        if (!this.itemTree[children[c].value].excluded) {
+                            return;
                         }
                     }
                 }
-            } else {
-                // The widget was not displayed yet - use the provided selected
-                // array
-                selectedList = this.options.selected;
-                for (s = 0; s < selectedList.length; s += 1) {
-                    selected.push(this.itemTree[selectedList[s].value].item);
+                this.setExcluded(parent, state);
+                parent = this.itemTree[parent].parent;
+            }
+        },
+
+        // Set the excluded state of a single item unless it is disabled
+        setExcluded: function (value, state) {
+            var treeItem = this.itemTree[value];
+            if (treeItem.item.disabled || !!treeItem.excluded === state) {
+                return;
+            }
+            treeItem.excluded = state;
+            if (state) {
+                this.excludedIndex[value] = true;
+            } else {
+                delete this.excludedIndex[value];
+            }
+            this.markSelected(value);
+        },
+
+        // Return the state an item gets by a click: the next one of included,
+        // excluded and neutral in the include-exclude mode
+        nextState: function (value) {
+            var treeItem = this.treeItem(value);
+            if (!this.policy.tristate) {
+                return !treeItem.checked;
+            }
+            if (treeItem.checked) {
+                return 'excluded';
+            }
+            return !treeItem.excluded;
+        },
+
+        // Normalize the state given to setChecked and checkItem: a boolean
+        // or 'excluded' in the include-exclude mode
+        toState: function (state) {
+            if (state === 'excluded' && this.policy.tristate) {
+                return state;
+            }
+            return !!state;
+        },
+
+        // Set the checked state of the loaded leaves under the item (or of
+        // the item itself if it is a leaf) and let the parents in between
+        // follow them
+        checkLeaves: function (value, state, changed) {
+            var treeItem = this.itemTree[value],
+                children = this.childItems(value), c;
+            if (treeItem.children === '?') {
+                return;
+            }
+            if (!children.length) {
+                this.setState(value, state, changed);
+                return;
+            }
+            for (c = 0; c < children.length; c += 1) {
+                this.checkLeaves(children[c].value, state, changed);
+            }
+            this.setState(value, this.allChildrenChecked(value), changed);
+        },
+
+        // Calculate the partial state of the item from its children
+        calcPartial: function (value) {
+            var treeItem = this.itemTree[value], children, child, c;
+            treeItem.partial = false;
+            if (!treeItem.checked && !treeItem.excluded) {
+                if (this.hasPending(value)) {
+                    treeItem.partial = true;
+                    return;
+                }
+                children = this.childItems(value);
+                for (c = 0; c < children.length; c += 1) {
+                    child = this.itemTree[children[c].value];
+                    if (child.checked || child.excluded || child.partial) {
+                        treeItem.partial = true;
+                        break;
+                    }
+                }
+            }
+        },
+
+        // Recalculate the partial state of the given items and of their
+        // ancestors, the deepest items first
+        refreshPartial: function (values) {
+            var depths = {}, sorted = [], v, value;
+            for (v = 0; v < values.length; v += 1) {
+                value = values[v];
+                while (value && !depths.hasOwnProperty(value)) {
+                    depths[value] = this.getParents(value).length;
+                    sorted.push(value);
+                    value = this.itemTree[value].parent;
+                }
+            }
+            sorted.sort(function (a, b) {
+                return depths[b] - depths[a];
+            });
+            for (v = 0; v < sorted.length; v += 1) {
+                this.calcPartial(sorted[v]);
+            }
+        },
+
+        // Check or uncheck the item the same way a click on its checkbox
+        // does, following the selection policy. Return the list of values
+        // which changed.
+        setChecked: function (value, state) {
+            var changed = [], ancestors = {}, c, parent;
+            if (!this.itemTree.hasOwnProperty(value)) {
+                return changed;
+            }
+            state = this.toState(state);
+            this.policy.check.call(this, value, state, changed);
+            if (this.options.exclusions) {
+                changed = changed.concat(this.dropAnchors(value));
+                if (state) {
+                    this.anchors[value] = true;
+                }
+                this.markSelected(value);
+            }
+            this.refreshPartial(changed.concat([value]));
+            this.redraw(value);
+
+            // The policy may change items which are neither descendants nor
+            // ancestors of the item, redraw them separately
+            parent = this.itemTree[value].parent;
+            while (parent) {
+                ancestors[parent] = true;
+                parent = this.itemTree[parent].parent;
+            }
+            for (c = 0; c < changed.length; c += 1) {
+                parent = changed[c];
+                if (!ancestors.hasOwnProperty(parent)) {
+                    while (parent && parent !== value) {
+                        parent = this.itemTree[parent].parent;
+                    }
+                    if (!parent) {
+                        this.redraw(changed[c]);
+                    }
+                }
+            }
+            return changed;
+        },
+
+        // Return true if the item has an input. The items without one have a
+        // state in the state model (following the cascade) but are never
+        // returned by getSelected.
+        isSelectable: function (value) {
+            var selectable = this.options.selectableItems;
+            if (!this.itemTree.hasOwnProperty(value) ||
+                    this.itemTree[value].item.selectable === false) {
+                return false;
+            }
+            if (selectable === 'leaves') {
+                return !this.itemTree[value].item.children;
+            }
+            if (typeof selectable === 'number') {
+                return this.getParents(value).length === selectable;
+            }
+            return true;
+        },
+
+        // Return the text the item is displayed and searched by
+        itemTitle: function (item) {
+            var title = item.title ||
+                (item.titleHtml && item.titleHtml.replace(/<[^>]*>/g, '')) ||
+                item.value;
+            if (item.desc) {
+                title += ' - ' + item.desc;
+            }
+            return title;
+        },
+
+        // Return the title of the item as HTML. The text is escaped unless
+        // the item has a titleHtml or the allowHtml option is set.
+        titleHtml: function (item) {
+            var desc = item.desc ? ' - ' + item.desc : '';
+            if (this.options.allowHtml) {
+                return (item.titleHtml || item.title || item.value) + desc;
+            }
+            if (item.titleHtml) {
+                return item.titleHtml + escapeHtml(desc);
+            }
+            return escapeHtml(this.itemTitle(item));
+        },
+
+        // Filter the items by the search query. An item is visible if it
+        // matches the query itself, if it is a descendant of a matching item
+        // or if it is an ancestor of one. The ancestors get opened for the
+        // time of the search. If there is a searchProvider the items found by
+        // it are loaded and shown too; the callback is called with the list
+        // of values whose children were loaded for them.
+        search: function (query, callback) {
+            var that = this, value;
+            query = (query || '').toLowerCase();
+            if (query === this.searchQuery) {
+                return;
+            }
+            this.searchQuery = query;
+            this.searchFound = {};
+            if (query) {
+                if (!this.searchOpen) {
+                    // Remember the open states to restore them afterwards
+                    this.searchOpen = {};
+                    for (value in this.itemTree) {
+                        if (this.itemTree.hasOwnProperty(value)) {
+                            this.searchOpen[value] = this.itemTree[value].open;
+                        }
+                    }
+                }
+                this.searchItems(this.items, query, false);
+            } else {
+                for (value in this.itemTree) {
+                    if (this.itemTree.hasOwnProperty(value)) {
+                        // The items loaded during the search are closed
+                        this.itemTree[value].hidden = false;
+                        this.itemTree[value].open =
+                            this.searchOpen[value] === true;
+                    }
+                }
+                this.searchOpen = null;
+            }
+            this.fire('search', null, {query: query});
+
+            if (query && this.options.searchProvider) {
+                this.options.searchProvider.call(this, query, function (found) {
+                    that.loadPaths(found, function (loaded) {
+                        var f;
+                        if (query !== that.searchQuery) {
+                            // A newer search was started meanwhile
+                            return;
+                        }
+                        for (f = 0; f < found.length; f += 1) {
+                            that.searchFound[found[f].value] = true;
+                        }
+                        that.searchItems(that.items, query, false);
+                        if (callback) {
+                            callback(loaded);
+                        }
+                        that.fire('search', null, {
+                            query: query,
+                            found: found
+                        });
+                    });
+                });
+            }
+        },
+
+        // Apply the search query to the given items and their descendants.
+        // If shown is true the items are visible because their ancestor
+        // matches. Return true if any of the items matches by itself.
+        searchItems: function (items, query, shown) {
+            var found = false, n, value, treeItem, match, childMatch;
+            for (n = 0; n < items.length; n += 1) {
+                value = items[n].value;
+                treeItem = this.itemTree[value];
+                match = this.searchFound.hasOwnProperty(value) ||
+                    this.itemTitle(items[n]).toLowerCase().indexOf(query) > -1;
+                childMatch = this.searchItems(this.childItems(value), query,
+                    shown || match);
+                treeItem.hidden = !(shown || match || childMatch);
+                if (this.searchOpen.hasOwnProperty(value)) {
+                    treeItem.open = childMatch || this.searchOpen[value];
+                } else if (childMatch) {
+                    treeItem.open = true;
+                }
+                found = found || match || childMatch;
+            }
+            return found;
+        },
+
+        // Hide the given items and their descendants which are neither
+        // checked nor have a checked descendant (loaded or not, as the
+        // partial state tells). Return true if any of the items stays
+        // visible.
+        pruneItems: function (items) {
+            var shown = false, n, treeItem, childShown;
+            for (n = 0; n < items.length; n += 1) {
+                treeItem = this.itemTree[items[n].value];
+                childShown = this.pruneItems(this.childItems(items[n].value));
+                treeItem.hidden = !(treeItem.checked || treeItem.partial ||
+                    childShown);
+                shown = shown || !treeItem.hidden;
+            }
+            return shown;
+        },
+
+        // Return the values of all the loaded items in the display order
+        loadedValues: function (items, values) {
+            var n;
+            items = items || this.items;
+            values = values || [];
+            for (n = 0; n < items.length; n += 1) {
+                values.push(items[n].value);
+                this.loadedValues(this.childItems(items[n].value), values);
+            }
+            return values;
+        },
+
+        // Return the values of the visible items (not filtered out and with
+        // all the ancestors open) in the display order
+        visibleValues: function (items, values) {
+            var n, value;
+            items = items || this.items;
+            values = values || [];
+            for (n = 0; n < items.length; n += 1) {
+                value = items[n].value;
+                if (!this.itemTree[value].hidden) {
+                    values.push(value);
+                    if (this.itemTree[value].open) {
+                        this.visibleValues(this.childItems(value), values);
+                    }
+                }
+            }
+            return values;
+        },
+
+        // Open or close the item. The children are not loaded here.
+        setOpen: function (value, state) {
+            if (!this.itemTree.hasOwnProperty(value)) {
+                return;
+            }
+            this.itemTree[value].open = !!state;
+            if (!this.deferReflow) {
+                this.reflow(value);
+            }
+        },
+
+        // Open or close the item on behalf of the user. The children are
+        // loaded with the childrenProvider and displayed if needed. The
+        // callback is called when the item is done.
+        openItem: function (value, state, callback) {
+            var that = this, treeItem = this.treeItem(value);
+            callback = callback || function () {};
+            if (!treeItem.item || !treeItem.item.children) {
+                callback();
+                return;
+            }
+            if (!state || treeItem.open) {
+                this.applyOpen(value, state, callback);
+                return;
+            }
+            this.ask(this.options.beforeExpand, [treeItem.item],
+                    function (answer) {
+                if (answer === false) {
+                    callback();
+                } else {
+                    that.applyOpen(value, state, callback);
+                }
+            });
+        },
+
+        // Open or close the item once it is allowed
+        applyOpen: function (value, state, callback) {
+            var that = this, treeItem = this.itemTree[value];
+            if (!treeItem.open !== !state) {
+                this.setOpen(value, state);
+                this.fire(state ? 'expand' : 'collapse', value);
+            }
+            if (state && treeItem.children === '?') {
+                // The expander shows a spinner meanwhile
+                this.loadChildren(value, function () {
+                    that.drawChildren(value);
+                    callback();
+                });
+                if (treeItem.loading) {
+                    this.redraw(value);
+                }
+            } else {
+                callback();
+            }
+        },
+
+        // Open the item loading its children if needed
+        expand: function (value, callback) {
+            this.openItem(value, true, callback);
+        },
+
+        // Close the item
+        collapse: function (value, callback) {
+            this.openItem(value, false, callback);
+        },
+
+        // Open a closed item or close an open one
+        toggle: function (value, callback) {
+            this.openItem(value, !this.isOpen(value), callback);
+        },
+
+        // Open all the items up to the given depth (1 opens the root items
+        // only). Without a depth all the levels are opened which loads the
+        // whole tree.
+        expandAll: function (depth, callback) {
+            var that = this, pending = 1;
+            if (typeof depth === 'function') {
+                callback = depth;
+                depth = undefined;
+            }
+
+            function done() {
+                pending -= 1;
+                if (pending === 0) {
+                    that.fire('expandall');
+                    if (callback) {
+                        callback();
+                    }
+                }
+            }
+
+            // The items opened synchronously are displayed by a single drawAll
+            // at the end instead of one reflow each
+            function expandItems(items, level) {
+                var n, deferred = that.deferReflow;
+                if (depth !== undefined && level >= depth) {
+                    return;
+                }
+                that.deferReflow = true;
+                for (n = 0; n < items.length; n += 1) {
+                    if (items[n].children) {
+                        pending += 1;
+                        that.openItem(items[n].value, true,
+                            loaded(items[n].value, level));
+                    }
+                }
+                that.deferReflow = deferred;
+            }
+
+            function loaded(value, level) {
+                return function () {
+                    if (that.isOpen(value)) {
+                        expandItems(that.childItems(value), level + 1);
+                        if (!that.deferReflow) {
+                            that.reflow(value);
+                        }
+                    }
+                    done();
+                };
+            }
+
+            expandItems(this.items, 0);
+            this.drawAll();
+            done();
+        },
+
+        // Close all the items
+        collapseAll: function (callback) {
+            var value;
+            for (value in this.itemTree) {
+                if (this.itemTree.hasOwnProperty(value)) {
+                    this.itemTree[value].open = false;
+                }
+            }
+            this.drawAll();
+            this.fire('collapseall');
+            if (callback) {
+                callback();
+            }
+        },
+
+        // Load and open all the ancestors of the given node
+        expandTo: function (node, callback) {
+            var that = this, parents, s;
+            if (typeof node !== 'object') {
+                node = {value: node};
+            }
+            if (this.itemTree.hasOwnProperty(node.value)) {
+                parents = this.getParents(node.value);
+            } else if (node.parents) {
+                parents = node.parents;
+            } else {
+                parents = [];
+                for (s = 0; s < this.options.selected.length; s += 1) {
+                    if (this.options.selected[s].value === node.value) {
+                        parents = this.options.selected[s].parents || [];
+                    }
+                }
+            }
+            // Open the ancestors from the top as the user would, each of them
+            // can be refused by the beforeExpand hook
+            function openFrom(p) {
+                if (p >= parents.length ||
+                        !that.itemTree.hasOwnProperty(parents[p])) {
+                    if (callback) {
+                        callback();
+                    }
+                    return;
+                }
+                that.openItem(parents[p], true, function () {
+                    if (that.isOpen(parents[p])) {
+                        openFrom(p + 1);
+                    } else if (callback) {
+                        callback();
+                    }
+                });
+            }
+            this.loadPaths([{value: node.value, parents: parents}],
+                    function (loaded) {
+                var l;
+                for (l = 0; l < loaded.length; l += 1) {
+                    that.drawChildren(loaded[l]);
+                }
+                openFrom(0);
+            });
+        },
+
+        // Check or uncheck the item on behalf of the user (or the API, as
+        // given by the cause) and notify the onSelect and onChange callbacks.
+        // The change is applied first and rolled back if the beforeSelect
+        // hook cancels it. The callback is called when it is decided; the
+        // changes made meanwhile wait for it (see whenDecided).
+        checkItem: function (value, state, cause, callback) {
+            var that = this, changed, item, errors, saved;
+            function decided() {
+                that.deciding = false;
+                callback();
+                that.nextDecision();
+            }
+            callback = callback || function () {};
+            if (this.whenDecided(function () {
+                    that.checkItem(value, state, cause, callback);
+                })) {
+                return;
+            }
+            if (!this.isSelectable(value) ||
+                    this.itemTree[value].item.disabled) {
+                callback();
+                return;
+            }
+            state = this.toState(state);
+            errors = this.limitErrors();
+            saved = this.saveExclusions();
+            changed = this.setChecked(value, state);
+            if (this.blockLimits(errors, changed, saved)) {
+                this.redraw(value);
+                callback();
+                return;
+            }
+            item = this.itemTree[value].item;
+            this.deciding = true;
+            this.ask(this.options.beforeSelect,
+                    [item, state, this.netChanges(changed)], function (answer) {
+                var extra, e;
+                if (answer === false) {
+                    that.revertChanges(changed, saved);
+                    that.redraw(value);
+                    decided();
+                    return;
+                }
+                if (answer && typeof answer === 'object') {
+                    extra = that.adjustChanges(that.netChanges(changed),
+                        answer);
+                    changed = changed.concat(extra);
+                    that.redraw(value);
+                    for (e = 0; e < extra.length; e += 1) {
+                        that.redraw(extra[e]);
+                    }
+                }
+                if (that.policy.single) {
+                    that.options.onSelect.call(that, item, state,
+                        that.previousItem(value, changed));
+                } else {
+                    that.options.onSelect.call(that, item, state);
+                }
+                that.notifyChange(cause || 'user', item, changed);
+                decided();
+            });
+        },
+
+        // Queue the function if a beforeSelect decision is pending so that
+        // the change it makes is not mixed with the one which may be rolled
+        // back. Return true if it was queued.
+        whenDecided: function (fn) {
+            if (!this.deciding) {
+                return false;
+            }
+            this.decisions.push(fn);
+            return true;
+        },
+
+        // Run the changes queued while a decision was pending until one of
+        // them has to wait again
+        nextDecision: function () {
+            while (!this.deciding && this.decisions.length) {
+                this.decisions.shift()();
+            }
+        },
+
+        // Return the item which was unchecked in favour of the given value by
+        // the single selection or null
+        previousItem: function (value, changed) {
+            var unchecked = this.netChanges(changed).unchecked, u;
+            for (u = 0; u < unchecked.length; u += 1) {
+                if (unchecked[u] !== value) {
+                    return this.itemTree[unchecked[u]].item;
+                }
+            }
+            return null;
+        },
+
+        // Ask a before* hook whether a change is allowed. The hook returns
+        // the answer or, if it returns nothing and declares the callback it
+        // gets as the last argument, passes it to the callback. Returning
+        // nothing otherwise, or having no hook, allows everything.
+        ask: function (hook, args, callback) {
+            var answered = false, answer;
+            function done(answer) {
+                if (!answered) {
+                    answered = true;
+                    callback(answer === undefined ? true : answer);
+                }
+            }
+            if (!hook) {
+                done(true);
+                return;
+            }
+            answer = hook.apply(this, args.concat([done]));
+            if (answer !== undefined || hook.length <= args.length) {
+                done(answer);
+            }
+        },
+
+        // Return the net result of the given list of changed values as lists
+        // of checked and unchecked values. A value listed an even number of
+        // times is back in its original state.
+        netChanges: function (changed) {
+            var net = {
+                    checked: [],
+                    unchecked: []
+                },
+                counts = {}, c, value;
+            for (c = 0; c < changed.length; c += 1) {
+                value = changed[c];
+                counts[value] = (counts.hasOwnProperty(value) ?
+                        counts[value] : 0) + 1;
+            }
+            for (c = 0; c < changed.length; c += 1) {
+                value = changed[c];
+                if (counts[value] % 2 === 1) {
+                    if (this.isChecked(value)) {
+                        net.checked.push(value);
+                    } else {
+                        net.unchecked.push(value);
+                    }
+                }
+                counts[value] = 0;
+            }
+            return net;
+        },
+
+        // Return the values which became excluded and not excluded since
+        // onChange was called last
+        excludedChanges: function () {
+            var changes = {
+                    excluded: [],
+                    unexcluded: []
+                },
+                value;
+            for (value in this.excludedIndex) {
+                if (this.excludedIndex.hasOwnProperty(value) &&
+                        !this.notifiedExcluded.hasOwnProperty(value)) {
+                    changes.excluded.push(value);
+                }
+            }
+            for (value in this.notifiedExcluded) {
+                if (this.notifiedExcluded.hasOwnProperty(value) &&
+                        !this.excludedIndex.hasOwnProperty(value) &&
+                        this.itemTree.hasOwnProperty(value)) {
+                    changes.unexcluded.push(value);
+                }
+            }
+            return changes;
+        },
+
+        // Return a copy of the anchors and the pending exclusions to be
+        // restored by revertChanges
+        saveExclusions: function () {
+            return {
+                anchors: $.extend({}, this.anchors),
+                pending: $.extend({}, this.pending)
+            };
+        },
+
+        // Undo the given list of changes in the state model. The saved
+        // anchors and pending exclusions (saveExclusions) are restored too.
+        revertChanges: function (changed, saved) {
+            var net = this.netChanges(changed), c, excluded, value, entry;
+            if (saved) {
+                this.anchors = saved.anchors;
+                this.pending = saved.pending;
+                this.selectedCache = {};
+                for (value in this.pending) {
+                    if (this.pending.hasOwnProperty(value)) {
+                        entry = this.pending[value];
+                        changed = changed.concat([entry.anchor]);
+                        for (c = 0; c < (entry.parents || []).length; c += 1) {
+                            if (this.itemTree.hasOwnProperty(
+                                    entry.parents[c])) {
+                                changed = changed.concat([entry.parents[c]]);
+                            }
+                        }
+                    }
+                }
+            }
+            if (this.policy.tristate) {
+                excluded = this.excludedChanges();
+                for (c = 0; c < excluded.excluded.length; c += 1) {
+                    this.setExcluded(excluded.excluded[c], false);
+                }
+                for (c = 0; c < excluded.unexcluded.length; c += 1) {
+                    this.setExcluded(excluded.unexcluded[c], true);
+                }
+                changed = changed.concat(excluded.excluded,
+                    excluded.unexcluded);
+            }
+            for (c = 0; c < net.checked.length; c += 1) {
+                this.storeState(net.checked[c], false);
+            }
+            for (c = 0; c < net.unchecked.length; c += 1) {
+                this.storeState(net.unchecked[c], true);
+            }
+            this.refreshPartial(changed);
+        },
+
+        // Make the state model follow the modified net changes returned by
+        // the beforeSelect hook instead of the applied ones. Return the list
+        // of values changed additionally.
+        adjustChanges: function (applied, wanted) {
+            var changed = [], that = this, adjusted, a;
+            function toMap(list) {
+                var map = {}, l;
+                for (l = 0; l < (list || []).length; l += 1) {
+                    map[list[l]] = true;
+                }
+                return map;
+            }
+            function adjust(appliedList, wantedList, state) {
+                var appliedMap = toMap(appliedList),
+                    wantedMap = toMap(wantedList), l, value;
+                for (l = 0; l < appliedList.length; l += 1) {
+                    value = appliedList[l];
+                    if (!wantedMap.hasOwnProperty(value)) {
+                        that.storeState(value, !state);
+                        changed.push(value);
+                    }
+                }
+                for (l = 0; l < (wantedList || []).length; l += 1) {
+                    value = wantedList[l];
+                    if (!appliedMap.hasOwnProperty(value) &&
+                            that.itemTree.hasOwnProperty(value) &&
+                            that.itemTree[value].checked !== state) {
+                        that.storeState(value, state);
+                        changed.push(value);
+                    }
+                }
+            }
+            adjust(applied.checked, wanted.checked, true);
+            adjust(applied.unchecked, wanted.unchecked, false);
+            // The ancestors follow the adjusted values again
+            if (this.policy.up) {
+                adjusted = changed.slice();
+                for (a = 0; a < adjusted.length; a += 1) {
+                    this.checkUp(adjusted[a],
+                        this.itemTree[adjusted[a]].checked, changed);
+                }
+            }
+            this.refreshPartial(changed);
+            return changed;
+        },
+
+        // Keep a hidden input for every selected item so that the form
+        // submits the selection (with the name option)
+        updateFields: function () {
+            var name = this.options.name,
+                fields = this.target.children('div.checkbox_tree_fields'),
+                selected, excluded = [], n, e;
+            function add(fieldName, value) {
+                $('<input type="hidden" />').attr({
+                    name: fieldName,
+                    value: value
+                }).appendTo(fields);
+            }
+            if (!name || !fields.length) {
+                return;
+            }
+            fields.empty();
+            selected = this.selectedItems();
+            if (this.policy.tristate) {
+                excluded = selected.excluded;
+                selected = selected.included;
+            }
+            for (n = 0; n < selected.length; n += 1) {
+                if (typeof selected[n] === 'string') {
+                    add(name, selected[n]);
+                    continue;
+                }
+                add(name, selected[n].value);
+                for (e = 0; e < (selected[n].except || []).length; e += 1) {
+                    add(name + '_except', selected[n].except[e]);
+                }
+            }
+            for (n = 0; n < excluded.length; n += 1) {
+                add(name + '_excluded', typeof excluded[n] === 'string' ?
+                        excluded[n] : excluded[n].value);
+            }
+        },
+
+        // Restore the initial selection (the selected option), e.g. when the
+        // form is reset
+        resetSelected: function () {
+            var that = this, changed;
+            if (this.whenDecided(function () {
+                    that.resetSelected();
+                })) {
+                return;
+            }
+            changed = this.checkAll(false);
+            changed = changed.concat(this.applySelected());
+            this.refreshPartial(changed);
+            this.redrawAll();
+            this.options.onSelect.call(this);
+            this.notifyChange('reset', null, changed);
+        },
+
+        // Call the onChange callback with the net result of the given list of
+        // changed values
+        notifyChange: function (cause, item, changed) {
+            var change = $.extend({
+                item: item,
+                cause: cause
+            }, this.netChanges(changed));
+            if (this.policy.tristate) {
+                $.extend(change, this.excludedChanges());
+                this.notifiedExcluded = $.extend({}, this.excludedIndex);
+            }
+            this.updateFields();
+            this.options.onChange.call(this, change);
+            this.fire('change', item ? item.value : null, change);
+        },
+
+        // Return true if any selection limit is set
+        hasLimits: function () {
+            var o = this.options;
+            return !!o.minSelected || o.maxSelected !== null ||
+                o.maxPerParent !== null;
+        },
+
+        // Return the list of the selection limits the current selection
+        // breaks (see validate)
+        limitErrors: function () {
+            var o = this.options, errors = [], counts = {}, selected,
+                count, limit, parent, n;
+            if (!this.hasLimits()) {
+                return errors;
+            }
+            selected = this.selectedItems(o.selectedOutput === 'paths' ?
+                    'topmost' : o.selectedOutput);
+            if (this.policy.tristate) {
+                selected = selected.included;
+            }
+            count = selected.length;
+            if (count < o.minSelected) {
+                errors.push(this.limitError('minSelected', o.minSelected,
+                    count, null));
+            }
+            if (o.maxSelected !== null && count > o.maxSelected) {
+                errors.push(this.limitError('maxSelected', o.maxSelected,
+                    count, null));
+            }
+            if (o.maxPerParent !== null) {
+                for (n = 0; n < selected.length; n += 1) {
+                    parent = this.itemTree[selected[n].value].parent || '';
+                    counts[parent] = (counts[parent] || 0) + 1;
+                }
+                for (parent in counts) {
+                    if (counts.hasOwnProperty(parent)) {
+                        limit = o.maxPerParent;
+                        if ($.isArray(limit)) {
+                            limit = limit[parent ?
+                                    this.getParents(parent).length + 1 : 0];
+                        }
+                        if (typeof limit === 'number' &&
+                                counts[parent] > limit) {
+                            errors.push(this.limitError('maxPerParent', limit,
+                                counts[parent], parent || null));
+                        }
+                    }
+                }
+            }
+            return errors;
+        },
+
+        // Construct a selection limit error with its message
+        limitError: function (type, limit, count, parent) {
+            var messages = $.fn.checkboxtree.messages,
+                title = parent === null ? messages.topLevel :
+                        this.itemTitle(this.itemTree[parent].item);
+            return {
+                type: type,
+                limit: limit,
+                count: count,
+                parent: parent,
+                message: messages[type].replace('{limit}', limit).
+                    replace('{title}', title)
+            };
+        },
+
+        // Roll back the given changes if they break a selection limit which
+        // was not broken before (the errors) and show why. Return true if the
+        // changes were rolled back.
+        blockLimits: function (errors, changed, saved) {
+            var after = this.limitErrors(), a, e, known;
+            for (a = 0; a < after.length; a += 1) {
+                known = false;
+                for (e = 0; e < errors.length; e += 1) {
+                    if (errors[e].type === after[a].type &&
+                            errors[e].parent === after[a].parent) {
+                        known = true;
+                    }
+                }
+                if (!known) {
+                    this.revertChanges(changed, saved);
+                    this.showMessage(after[a].message);
+                    return true;
+                }
+            }
+            this.showMessage('');
+            return false;
+        },
+
+        // Show the text in the message area (hide it if the text is empty)
+        showMessage: function (text) {
+            this.target.children('div.checkbox_tree_message').text(text).
+                css('display', text ? '' : 'none');
+        },
+
+        // Check the selection against the limits and show the first problem
+        validate: function () {
+            var errors = this.limitErrors();
+            this.showMessage(errors.length ? errors[0].message : '');
+            return errors;
+        },
+
+        // Move the keyboard focus (the roving tabindex) to the given item. If
+        // focus is false only the tabindex is moved.
+        focusItem: function (value, focus) {
+            var li;
+            if (this.focused !== undefined) {
+                this.itemNode(this.focused).attr('tabindex', -1);
+            }
+            this.focused = value;
+            if (this.virtual && focus !== false) {
+                this.scrollToRow(value);
+            }
+            li = this.itemNode(value).attr('tabindex', 0);
+            if (focus !== false && li.length) {
+                li[0].focus();
+            }
+        },
+
+        // Return the aria-checked attribute value of the tree item
+        ariaChecked: function (treeItem) {
+            if (treeItem.partial) {
+                return 'mixed';
+            }
+            return treeItem.checked ? 'true' : 'false';
+        },
+
+        // Return the LI element of the given value if it is displayed
+        itemNode: function (value) {
+            var list = this.list(), li = $([]), path, i;
+            if (!list.length || !this.itemTree.hasOwnProperty(value)) {
+                return li;
+            }
+            if (this.virtual) {
+                i = this.rowIndex.hasOwnProperty(value) ?
+                        this.rowIndex[value] - this.rowStart : -1;
+                li = list.children('li');
+                return i >= 0 && i < li.length ? li.eq(i) : $([]);
+            }
+            path = this.getParents(value);
+            path.push(value);
+            for (i = 0; i < path.length && list.length; i += 1) {
+                li = list.children('li').eq(this.itemTree[path[i]].index);
+                list = li.children('ul');
+            }
+            return i === path.length ? li : $([]);
+        },
+
+        // Make the LI element reflect the state of the given value. If deep
+        // is true the displayed descendants are updated as well.
+        drawNode: function (li, value, deep) {
+            var treeItem = this.itemTree[value],
+                input = li.children('label').children('input'),
+                children, lis, n;
+            input.attr('checked', treeItem.checked);
+            if (input.length) {
+                input[0].indeterminate = treeItem.partial;
+            }
+            li.toggleClass('partial', treeItem.partial);
+            li.toggleClass('excluded', !!treeItem.excluded);
+            li.toggleClass('loading', !!treeItem.loading);
+            li.css('display', treeItem.hidden ? 'none' : '');
+            li.attr('aria-checked', this.ariaChecked(treeItem));
+            if (treeItem.item.children) {
+                li.toggleClass('closed', !treeItem.open);
+                li.attr('aria-expanded', String(treeItem.open));
+                li.attr('aria-busy', String(!!treeItem.loading));
+                li.children('span.expander').
+                    toggleClass('spinner', !!treeItem.loading).
+                    text(this.expanderText(treeItem));
+                li.children('label').children('span.icon').
+                    attr('class', 'icon ' + this.iconClass(treeItem.item,
+                        treeItem.open));
+            }
+            if (deep) {
+                children = this.childItems(value);
+                lis = li.children('ul').children('li');
+                for (n = 0; n < lis.length && n < children.length; n += 1) {
+                    this.drawNode($(lis[n]), children[n].value, true);
+                }
+            }
+        },
+
+        // Update the display after the open states of the given item or its
+        // descendants changed. The virtual mode has to recalculate the rows.
+        reflow: function (value) {
+            if (this.virtual) {
+                this.drawRows(true);
+            } else {
+                this.redraw(value);
+            }
+        },
+
+        // Update the displayed item of the given value with its descendants
+        // and ancestors from the state model
+        redraw: function (value) {
+            var li = this.itemNode(value), parents, p, lis;
+            if (this.virtual) {
+                // Only the rendered rows have to be updated
+                lis = this.list().children('li');
+                for (p = 0; p < lis.length; p += 1) {
+                    this.drawNode($(lis[p]), this.rows[this.rowStart + p],
+                        false);
+                }
+                return;
+            }
+            if (!li.length) {
+                return;
+            }
+            this.drawNode(li, value, true);
+            parents = this.getParents(value);
+            li = li.parents('li');
+            for (p = 0; p < parents.length; p += 1) {
+                this.drawNode($(li[parents.length - p - 1]), parents[p], false);
+            }
+        },
+
+        // Update all the displayed items from the state model
+        redrawAll: function () {
+            var n;
+            for (n = 0; n < this.items.length; n += 1) {
+                this.redraw(this.items[n].value);
+            }
+        },
+
+        // Display the loaded children of the given item unless they are
+        // displayed already
+        drawChildren: function (value) {
+            var li = this.itemNode(value), list = li.children('ul'),
+                items = this.childItems(value), listHtml = [], n;
+            if (this.virtual) {
+                this.drawRows(true);
+                return;
+            }
+            if (!li.length || list.children('li').length) {
+                return;
+            }
+            for (n = 0; n < items.length; n += 1) {
+                listHtml.push(this.itemHtml(items[n]));
+            }
+            if (!list.length) {
+                list = $('<ul role="group"></ul>').appendTo(li);
+            }
+            list.html(listHtml.join(''));
+            this.drawPartial(list);
+            this.drawNode(li, value, false);
+        },
+
+        // Update all the displayed items from the state model. The LI
+        // elements are updated in chunks because updating all of them at
+        // once takes a lot of time with numbers around 1K+. We want to
+        // prevent the UI freeze.
+        drawAll: function () {
+            var that = this, lis, values, chunkSize = 100;
+            if (this.drawTimeout) {
+                window.clearTimeout(this.drawTimeout);
+                this.drawTimeout = null;
+            }
+            if (this.virtual) {
+                this.drawRows(true);
+                return;
+            }
+            function drawChunk(startFrom) {
+                var i, max = Math.min(lis.length, startFrom + chunkSize);
+                for (i = startFrom; i < max; i += 1) {
+                    that.drawNode($(lis[i]), values[i], false);
+                }
+                if (max < lis.length) {
+                    that.drawTimeout = window.setTimeout(function () {
+                        drawChunk(max);
+                    }, 80);
+                }
+            }
+            lis = this.list().find('li');
+            values = this.loadedValues();
+            drawChunk(0);
+        },
+
+        // Render the rows of the virtual mode which are in (or near) the
+        // viewport. If reflow is true the list of the visible rows is
+        // recalculated from the state model first.
+        drawRows: function (reflow) {
+            var viewport = this.target.children('div.checkbox_tree_viewport'),
+                list = viewport.children('ul'), v = this.virtual,
+                html = [], first, last, r;
+            if (!list.length) {
+                return;
+            }
+            if (reflow || !this.rows) {
+                this.rows = this.visibleValues();
+                this.rowIndex = {};
+                for (r = 0; r < this.rows.length; r += 1) {
+                    this.rowIndex[this.rows[r]] = r;
+                }
+            }
+            first = Math.max(0,
+                Math.floor(viewport.scrollTop() / v.rowHeight) - v.overscan);
+            last = Math.min(this.rows.length,
+                first + Math.ceil(v.height / v.rowHeight) + 2 * v.overscan);
+            for (r = first; r < last; r += 1) {
+                html.push(this.rowHtml(this.itemTree[this.rows[r]].item,
+                    this.getParents(this.rows[r]).length) + '</li>');
+            }
+            this.rowStart = first;
+            // The padding stands for the rows above, the height for the rest
+            list.css({
+                paddingTop: first * v.rowHeight + 'px',
+                height: (this.rows.length - first) * v.rowHeight + 'px'
+            });
+            list.html(html.join(''));
+            this.drawPartial(list);
+            if (!this.options.readOnly &&
+                    !list.children('li[tabindex=0]').length) {
+                list.children('li:first').attr('tabindex', 0);
+            }
+        },
+
+        // Scroll the virtual viewport so that the row of the given value is
+        // visible
+        scrollToRow: function (value) {
+            var viewport = this.target.children('div.checkbox_tree_viewport'),
+                v = this.virtual, top;
+            if (!this.rowIndex || !this.rowIndex.hasOwnProperty(value)) {
+                return;
+            }
+            top = this.rowIndex[value] * v.rowHeight;
+            if (top < viewport.scrollTop()) {
+                viewport.scrollTop(top);
+            } else if (top + v.rowHeight > viewport.scrollTop() + v.height) {
+                viewport.scrollTop(top + v.rowHeight - v.height);
+            }
+            this.drawRows();
+        },
+
+        // The indeterminate state of a checkbox can not be set in HTML. Set it
+        // on the checkboxes of the partial items under the given node.
+        drawPartial: function (node) {
+            node.find('li.partial').children('label').children('input').
+                each(function () {
+                    this.indeterminate = true;
+                });
+        },
+
+        // Create a checkbox check handler. A single handler is bound to the
+        // container and listens to all events.
+        makeClickHandler: function () {
+            var that = this;
+
+            // Handle the checkbox click
+            function handleCheckbox(e) {
+                var item = that.getItemFromDom(this);
+                // The input shows the new state except for the three states of
+                // the include-exclude mode
+                that.checkItem(item.value, that.policy.tristate ?
+                        that.nextState(item.value) : this.checked);
+            }
+
+            // Handle the LI element click
+            function handleList(e) {
+                var item = that.getItemFromDom(this);
+                that.openItem(item.value, !that.isOpen(item.value));
+            }
+
+            this.clickHandler = function (e) {
+                var target = $(e.target), action;
+                if (target.closest('li').length) {
+                    that.focusItem(that.getItemFromDom(target).value, false);
+                }
+                action = target.closest('[data-action]');
+                if (action.length && action.closest('li').length) {
+                    // An action of the item content, not a check
+                    that.fire('action', that.getItemFromDom(action).value, {
+                        action: action.attr('data-action')
+                    });
+                    return false;
+                }
+                if (target.closest('input').length) {
+                    // The checkbox was clicked
+                    handleCheckbox.call(e.target, e);
+                } else if (target.closest('span.expander').length) {
+                    handleList.call(target.closest('li')[0], e);
+                } else if (target.closest('label').length) {
+                    // skip - if a label is clicked, the input will get another
+                    // event
+                } else if (target.closest('li').length) {
+                    // The list element was clicked
+                    handleList.call(target.closest('li')[0], e);
+                }
+            };
+
+            // Handle the keyboard navigation on the focused LI element
+            this.keyHandler = function (e) {
+                var target = $(e.target), li = target.closest('li'),
+                    key = e.keyCode, item, value, treeItem, visible, index,
+                    siblings, n;
+                if (!li.length) {
+                    return;
+                }
+                item = that.getItemFromDom(li);
+                value = item.value;
+                treeItem = that.itemTree[value];
+                visible = that.virtual ? that.rows : that.visibleValues();
+                index = $.inArray(value, visible);
+
+                function moveTo(to) {
+                    if (to !== undefined) {
+                        that.focusItem(to);
+                    }
+                }
+
+                if (key === 40) {
+                    // Down
+                    moveTo(visible[index + 1]);
+                } else if (key === 38) {
+                    // Up
+                    moveTo(index > 0 ? visible[index - 1] : undefined);
+                } else if (key === 36) {
+                    // Home
+                    moveTo(visible[0]);
+                } else if (key === 35) {
+                    // End
+                    moveTo(visible[visible.length - 1]);
+                } else if (key === 39) {
+                    // Right
+                    if (item.children && !treeItem.open) {
+                        that.openItem(value, true);
+                    } else if (that.treeItem(visible[index + 1]).parent ===
+                            value) {
+                        moveTo(visible[index + 1]);
+                    }
+                } else if (key === 37) {
+                    // Left
+                    if (item.children && treeItem.open) {
+                        that.openItem(value, false);
+                    } else if (treeItem.parent) {
+                        moveTo(treeItem.parent);
+                    }
+                } else if (key === 32) {
+                    // Space. The checkbox itself handles it natively.
+                    if (!target.is('input')) {
+                        that.checkItem(value, that.nextState(value));
+                    }
+                } else if (key === 13) {
+                    // Enter
+                    if (item.children) {
+                        that.openItem(value, !treeItem.open);
+                    } else {
+                        that.checkItem(value, that.nextState(value));
+                    }
+                } else if (key === 106 || (e.originalEvent &&
+                        e.originalEvent.key === '*')) {
+                    // Asterisk - open all the siblings
+                    siblings = that.childItems(treeItem.parent);
+                    for (n = 0; n < siblings.length; n += 1) {
+                        that.openItem(siblings[n].value, true);
+                    }
+                } else {
+                    return;
+                }
+                return false;
+            };
+        },
+
+        // Construct the opening LI tag and the label of the item taking into
+        // account its state in the state model. The depth is given for the
+        // flat rows of the virtual mode only.
+        rowHtml: function (item, depth) {
+            var li = '<li role="treeitem" data-value="' +
+                    escapeHtml(item.value) + '"',
+                input = '<input type="' + this.inputType + '" tabindex="-1"' +
+                    ' aria-hidden="true"',
+                treeItem = this.treeItem(item.value),
+                classes = [], styles = [], icon, label, name;
+
+            li += ' aria-checked="' + this.ariaChecked(treeItem) + '"';
+            if (!this.options.readOnly) {
+                li += ' tabindex="' +
+                    (item.value === this.focused ? 0 : -1) + '"';
+            }
+            if (treeItem.checked) {
+                input += ' checked="checked"';
+            }
+            if (item.disabled || this.options.readOnly) {
+                input += ' disabled="disabled"';
+            }
+            if (item.disabled) {
+                li += ' aria-disabled="true"';
+                classes.push('disabled');
+            }
+            if (this.inputType === 'radio') {
+                // The form attribute names no form so that the group is not
+                // submitted with the surrounding one (see the name option)
+                input += ' name="' + this.radioName + '" form="' +
+                    this.radioName + '_none"';
+            }
+            input += ' />';
+            if (!this.isSelectable(item.value)) {
+                input = '';
+                classes.push('unselectable');
+            }
+
+            if (item.children) {
+                classes.push('has_children');
+                li += ' aria-expanded="' + !!treeItem.open + '"';
+                if (!treeItem.open) {
+                    classes.push('closed');
+                }
+                if (treeItem.loading) {
+                    classes.push('loading');
+                    li += ' aria-busy="true"';
+                }
+            }
+            if (treeItem.partial) {
+                classes.push('partial');
+            }
+            if (treeItem.excluded) {
+                classes.push('excluded');
+            }
+            if (item.className) {
+                classes.push(item.className);
+            }
+            if (!isEmpty(classes)) {
+                li += ' class="' + escapeHtml(classes.join(' ')) + '"';
+            }
+            for (name in item.attrs || {}) {
+                // Only the harmless ones, the value is in data-value already
+                if (item.attrs.hasOwnProperty(name) &&
+                        /^(data-[\w\-.]+|title)$/i.test(name) &&
+                        name.toLowerCase() !== 'data-value') {
+                    li += ' ' + name + '="' +
+                        escapeHtml(item.attrs[name]) + '"';
+                }
+            }
+            if (treeItem.hidden) {
+                styles.push('display: none');
+            }
+            if (depth !== undefined) {
+                li += ' aria-level="' + (depth + 1) + '"';
+                styles.push('padding-left: ' + depth * this.virtual.indent +
+                    'px', 'height: ' + this.virtual.rowHeight + 'px');
+            }
+            if (!isEmpty(styles)) {
+                li += ' style="' + styles.join('; ') + '"';
+            }
+            li += '>';
+            // Nothing handles the expander in the read only mode
+            if (item.children && !this.options.readOnly) {
+                li += '<span class="expander' +
+                    (treeItem.loading ? ' spinner' : '') +
+                    '" aria-hidden="true">' + this.expanderText(treeItem) +
+                    '</span>';
+            } else {
+                li += '<span class="expander_space"></span>';
+            }
+            icon = this.iconClass(item, treeItem.open);
+            if (icon) {
+                icon = '<span class="icon ' + escapeHtml(icon) + '"></span>';
+            }
+            label = item.tooltip ?
+                    '<label title="' + escapeHtml(item.tooltip) + '">' :
+                    '<label>';
+            return li + label + input + icon +
+                this.contentHtml(item, treeItem) + '</label>';
+        },
+
+        // Return the text of the expander of the parent item
+        expanderText: function (treeItem) {
+            var text = $.fn.checkboxtree.expanderText;
+            if (treeItem.loading) {
+                return text.loading;
+            }
+            return treeItem.open ? text.open : text.closed;
+        },
+
+        // Return the icon class of the item (an empty string for no icon)
+        iconClass: function (item, open) {
+            var defaults = this.options.icons ?
+                    $.fn.checkboxtree.iconDefaults : {};
+            if (!item.children) {
+                return item.icon || defaults.leaf || '';
+            }
+            if (open) {
+                return item.iconOpen || item.icon || defaults.folderOpen || '';
+            }
+            return item.icon || defaults.folder || '';
+        },
+
+        // Construct the content of the row after the input: the title or the
+        // result of the itemRenderer
+        contentHtml: function (item, treeItem) {
+            var parents;
+            if (!this.options.itemRenderer) {
+                return this.titleHtml(item);
+            }
+            parents = this.getParents(item.value);
+            return this.options.itemRenderer.call(this, item, {
+                depth: parents.length,
+                parents: parents,
+                checked: !!treeItem.checked,
+                partial: !!treeItem.partial,
+                excluded: !!treeItem.excluded,
+                open: !!treeItem.open,
+                disabled: !!item.disabled,
+                selectable: this.isSelectable(item.value),
+                titleHtml: this.titleHtml(item)
+            });
+        },
+
+        // Construct the item HTML with its loaded descendants
+        itemHtml: function (item) {
+            var html = [this.rowHtml(item)], c;
+            if (item.children && typeof item.children === 'object') {
+                html.push('<ul role="group">');
+                for (c = 0; c < item.children.length; c += 1) {
+                    html.push(this.itemHtml(item.children[c]));
+                }
+                html.push('</ul>');
+            }
+            html.push('</li>');
+            return html.join('');
+        },
+
+        // Draw the checkbox tree. If the values have not been loaded wait for
+        // them to be loaded.
+        display: function () {
+            if (this.waitingForValues) {
+                this.displayOnMultiItems = true;
+                this.target.html('<span>Loading...</span>');
+                return;
+            }
+
+            var n, list = [], length = 0, item,
+                ul = 'checkbox_tree" role="tree"',
+                that = this;
+
+            if (this.options.readOnly) {
+                ul = 'checkbox_tree readonly" role="tree" aria-readonly="true"';
+                if (this.options.prune) {
+                    this.pruneItems(this.items);
+                }
+            }
+            // Check the itemTree how many nodes we have. If we have more than 3
+            // (on all levels) then we'll show 'Select/Unselect all'
+            for (item in this.itemTree) {
+                if (this.options.readOnly) {
+                    break;
+                }
+                if (this.itemTree.hasOwnProperty(item)) {
+                    length += 1;
+                    if (length > 20) {
+                        break;
+                    }
+                }
+            }
+            // Select All, Unselect All links; only one item can be selected
+            // in the single mode
+            if (length > 3) {
+                if (!this.policy.single) {
+                    list.push('<a href="#" class="select_all_items">' +
+                        'Select All</a> | ');
+                }
+                list.push('<a href="#" class="unselect_all_items">' +
+                    'Unselect All</a> ');
+            }
+            // Quick search input
+            if (length >= 3) {
+                list.push('<input type="text" class="quick_search"></input>');
+            }
+            // The hidden inputs submitted with the form
+            if (this.options.name) {
+                list.push('<div class="checkbox_tree_fields"' +
+                    ' style="display: none"></div>');
+            }
+            // The message area of the selection limits
+            if (!this.options.readOnly && this.hasLimits()) {
+                list.push('<div class="checkbox_tree_message" role="alert"' +
+                    ' style="display: none"></div>');
+            }
+
+            if (!this.itemTree.hasOwnProperty(this.focused) &&
+                    this.items.length) {
+                this.focused = this.items[0].value;
+            }
+            if (this.virtual) {
+                // The rows are rendered by drawRows into an empty list
+                list.push('<div class="checkbox_tree_viewport" style="' +
+                    'height: ' + this.virtual.height + 'px; ' +
+                    'overflow-y: auto">');
+                list.push('<ul class="virtual ' + ul +
+                    ' style="margin: 0; overflow: hidden"></ul></div>');
+            } else {
+                list.push('<ul class="' + ul + '>');
+                for (n = 0; n < this.items.length; n += 1) {
+                    list.push(this.itemHtml(this.items[n]));
+                }
+                list.push('</ul>');
+            }
+            list = list.join('');
+            this.target.html(list);
+            if (this.virtual) {
+                this.drawRows(true);
+                this.target.children('div.checkbox_tree_viewport').
+                    scroll(function () {
+                        that.drawRows();
+                    });
+            } else {
+                this.drawPartial(this.list());
+            }
+            this.updateFields();
+            // Unbind the handlers of the previous display
+            if (this.clickHandler) {
+                this.target.unbind('click', this.clickHandler).
+                    unbind('keydown', this.keyHandler);
+            }
+
+            if (this.options.readOnly) {
+                this.fire('rendered');
+                return;
+            }
+            // Restore the initial selection when the form is reset. The inputs
+            // are reset by the browser after the event, redraw them later.
+            this.unbindForm();
+            this.form = this.target.closest('form');
+            this.resetHandler = function () {
+                window.setTimeout(function () {
+                    that.resetSelected();
+                }, 0);
+            };
+            this.form.bind('reset', this.resetHandler);
+            // Create the click handler
+            this.makeClickHandler();
+            // Bind the click handler
+            this.target.click(this.clickHandler);
+            this.target.keydown(this.keyHandler);
+            this.target.children('a.select_all_items').click(function () {
+                that.selectAll();
+                return false;
+            });
+            this.target.children('a.unselect_all_items').click(function () {
+                that.unselectAll();
+                return false;
+            });
+            // Implement the quick search functionality
+            this.target.children('input.quick_search').keyup(function (e) {
+                var query = $(this).val().toLowerCase();
+                if (query === that.searchQuery) {
+                    return;
+                }
+                that.search(query, function (loaded) {
+                    var l;
+                    for (l = 0; l < loaded.length; l += 1) {
+                        that.drawChildren(loaded[l]);
+                    }
+                    that.drawAll();
+                });
+                that.drawAll();
+            }).focus(function () {
+                var $this = $(this);
+                if ($this.hasClass('empty')) {
+                    $this.removeClass('empty').val('');
                 }
+            }).blur(function () {
+                var $this = $(this);
+                if ($this.val() === '') {
+                    $this.addClass('empty').val('Quick search');
+                }
+            }).blur();
+            this.fire('rendered');
+        },
+
+        // Remove the Checkbox tree and unbind the click handlers
+        destroy: function () {
+            this.fire('destroy');
+            this.unbindForm();
+            this.target.empty().unbind('click').unbind('keydown');
+        },
+
+        // Stop following the reset of the surrounding form
+        unbindForm: function () {
+            if (this.form) {
+                this.form.unbind('reset', this.resetHandler);
+                this.form = null;
+            }
+        },
+
+        // Return a list of selected values: the topmost checked items with
+        // their parents
+        getSelected: function (output) {
+            var selected = this.selectedItems(output);
+            if (this.policy.tristate) {
+                return {
+                    included: copyItems(selected.included),
+                    excluded: copyItems(selected.excluded)
+                };
             }
+            return copyItems(selected);
+        },
+
+        // Return what getSelected does without copying the cached items, for
+        // reading them only
+        selectedItems: function (output) {
+            output = output || this.options.selectedOutput;
+            if (!outputFilters.hasOwnProperty(output)) {
+                throw new Error('Unknown selected output: ' + output);
+            }
+            if (this.policy.tristate) {
+                return {
+                    included: this.selectedList(output, 'checked'),
+                    excluded: this.selectedList(output, 'excluded')
+                };
+            }
+            return this.selectedList(output, 'checked');
+        },
 
+        // Return the cached getSelected list of the items in the given state
+        // ('checked' or 'excluded')
+        selectedList: function (output, state) {
+            var key = output + ' ' + state, selected = [], found, f;
+            this.updateSelected();
+            if (!this.selectedCache.hasOwnProperty(key)) {
+                this.selectedCache[key] = this.buildSelected(output, state);
+            }
+            found = this.selectedCache[key].found;
+            for (f = 0; f < found.length; f += 1) {
+                selected.push(found[f].result);
+            }
             return selected;
         },
 
+        // Build the cached getSelected list from the whole selection index
+        buildSelected: function (output, state) {
+            var cache = {
+                    output: output,
+                    state: state,
+                    entries: {},
+                    found: []
+                },
+                index = state === 'excluded' ? this.excludedIndex :
+                        this.checkedIndex,
+                values = [], value;
+            for (value in index) {
+                if (index.hasOwnProperty(value)) {
+                    values.push(value);
+                }
+            }
+            if (this.options.exclusions && state === 'checked' &&
+                    output === 'topmost') {
+                for (value in this.anchors) {
+                    if (this.anchors.hasOwnProperty(value) &&
+                            !index.hasOwnProperty(value)) {
+                        values.push(value);
+                    }
+                }
+            }
+            this.refreshSelected(cache, values);
+            return cache;
+        },
+
+        // Look again at the branches marked since the cached lists were
+        // built. A branch is widened to the topmost anchor above it as the
+        // exclusions change what the anchor returns; its ancestors are
+        // looked at too as their items include the loaded children.
+        updateSelected: function () {
+            var that = this, roots = {}, above = {}, values = [], value, top,
+                parent, key;
+            function collect(value) {
+                var children = that.childItems(value), c;
+                values.push(value);
+                for (c = 0; c < children.length; c += 1) {
+                    collect(children[c].value);
+                }
+            }
+            if (isEmpty(this.selectedDirty)) {
+                return;
+            }
+            if (isEmpty(this.selectedCache)) {
+                this.selectedDirty = {};
+                return;
+            }
+            for (value in this.selectedDirty) {
+                if (this.selectedDirty.hasOwnProperty(value) &&
+                        this.itemTree.hasOwnProperty(value)) {
+                    top = value;
+                    parent = this.itemTree[value].parent;
+                    while (parent) {
+                        if (this.anchors.hasOwnProperty(parent)) {
+                            top = parent;
+                        }
+                        parent = this.itemTree[parent].parent;
+                    }
+                    roots[top] = true;
+                }
+            }
+            this.selectedDirty = {};
+            // Skip the branches within another one
+            for (value in roots) {
+                if (roots.hasOwnProperty(value)) {
+                    parent = this.itemTree[value].parent;
+                    while (parent && !roots.hasOwnProperty(parent)) {
+                        parent = this.itemTree[parent].parent;
+                    }
+                    if (!parent) {
+                        collect(value);
+                        parent = this.itemTree[value].parent;
+                        while (parent && !above.hasOwnProperty(parent)) {
+                            above[parent] = true;
+                            values.push(parent);
+                            parent = this.itemTree[parent].parent;
+                        }
+                    }
+                }
+            }
+            for (key in this.selectedCache) {
+                if (this.selectedCache.hasOwnProperty(key)) {
+                    this.refreshSelected(this.selectedCache[key], values);
+                }
+            }
+        },
+
+        // Replace the entries of the given values in the cached list and
+        // merge the new ones into its order
+        refreshSelected: function (cache, values) {
+            var added = [], found = [], removed = false, entry, v, f,
+                a = 0;
+            for (v = 0; v < values.length; v += 1) {
+                if (cache.entries.hasOwnProperty(values[v])) {
+                    cache.entries[values[v]].stale = true;
+                    delete cache.entries[values[v]];
+                    removed = true;
+                }
+                entry = this.selectedEntry(values[v], cache.output,
+                    cache.state);
+                if (entry) {
+                    cache.entries[values[v]] = entry;
+                    added.push(entry);
+                }
+            }
+            if (!removed && !added.length) {
+                return;
+            }
+            added.sort(comparePaths);
+            for (f = 0; f < cache.found.length; f += 1) {
+                if (!cache.found[f].stale) {
+                    while (a < added.length &&
+                            comparePaths(added[a], cache.found[f]) < 0) {
+                        found.push(added[a]);
+                        a += 1;
+                    }
+                    found.push(cache.found[f]);
+                }
+            }
+            cache.found = found.concat(added.slice(a));
+        },
+
+        // Return the getSelected entry of the item ({value, path, result})
+        // or null if the output does not return it
+        selectedEntry: function (value, output, state) {
+            var index = state === 'excluded' ? this.excludedIndex :
+                    this.checkedIndex,
+                exclusions = this.options.exclusions && state === 'checked' &&
+                    output === 'topmost',
+                entry = {value: value}, parents, item;
+            if (!this.isSelectable(value) ||
+                    (exclusions && this.inAnchor(value))) {
+                return null;
+            }
+            if (exclusions && this.isOpenAnchor(value)) {
+                entry.except = this.exceptValues(value);
+            } else if (!index.hasOwnProperty(value) ||
+                    !outputFilters[output].call(this, value, state)) {
+                return null;
+            }
+            entry.path = this.indexPath(value);
+            parents = this.getParents(value);
+            if (output === 'paths') {
+                parents.push(value);
+                entry.result = parents.join('/');
+                return entry;
+            }
+            item = $.extend(true, {}, this.itemTree[value].item);
+            if (!isEmpty(parents)) {
+                item.parents = parents;
+            }
+            if (output === 'leaves' &&
+                    this.itemTree[value].children === '?') {
+                item.unloaded = true;
+            }
+            if (entry.except) {
+                item.except = entry.except;
+            }
+            entry.result = item;
+            return entry;
+        },
+
+        // Return true if none of the ancestors of the item is returned by
+        // getSelected in the same state ('checked' by default)
+        isTopSelected: function (value, state) {
+            var parent = this.itemTree[value].parent;
+            while (parent) {
+                if (this.itemTree[parent][state || 'checked'] &&
+                        this.isSelectable(parent)) {
+                    return false;
+                }
+                parent = this.itemTree[parent].parent;
+            }
+            return true;
+        },
+
+        // Return true if the item was checked as a whole and some of its
+        // descendants were excluded since
+        isOpenAnchor: function (value) {
+            var treeItem = this.treeItem(value);
+            return this.anchors.hasOwnProperty(value) && !treeItem.checked &&
+                !!treeItem.partial;
+        },
+
+        // Return true if an ancestor of the item is returned by getSelected
+        // with the exclusions
+        inAnchor: function (value) {
+            var parent = this.itemTree[value].parent;
+            while (parent) {
+                if (this.isOpenAnchor(parent)) {
+                    return true;
+                }
+                parent = this.itemTree[parent].parent;
+            }
+            return false;
+        },
+
+        // Return the values of the topmost unchecked descendants of the
+        // anchor item, including the excluded ones which are not loaded
+        exceptValues: function (anchor) {
+            var except = [], that = this, excluded;
+            function walk(value) {
+                var children = that.childItems(value), c, treeItem;
+                for (c = 0; c < children.length; c += 1) {
+                    treeItem = that.itemTree[children[c].value];
+                    if (treeItem.partial) {
+                        walk(children[c].value);
+                    } else if (!treeItem.checked &&
+                            (that.isSelectable(children[c].value) ||
+                            children[c].children)) {
+                        except.push(children[c].value);
+                    }
+                }
+            }
+            walk(anchor);
+            for (excluded in this.pending) {
+                if (this.pending.hasOwnProperty(excluded) &&
+                        this.isWithin(this.pending[excluded].anchor, anchor)) {
+                    except.push(excluded);
+                }
+            }
+            return except;
+        },
+
+        // Return the positions of the item and its ancestors among their
+        // siblings, from the root level down
+        indexPath: function (value) {
+            var path = [];
+            while (value) {
+                path.unshift(this.itemTree[value].index);
+                value = this.itemTree[value].parent;
+            }
+            return path;
+        },
+
+        // Check or uncheck all the items
+        checkAll: function (state) {
+            var changed = [], n, dropped = [];
+            for (n = 0; n < this.items.length; n += 1) {
+                dropped = dropped.concat(this.dropAnchors(this.items[n].value));
+            }
+            if (this.policy.checkAll) {
+                this.policy.checkAll.call(this, state, changed);
+            } else {
+                for (n = 0; n < this.items.length; n += 1) {
+                    this.checkDown(this.items[n].value, state, changed);
+                    if (this.policy.tristate) {
+                        this.excludeDown(this.items[n].value, false);
+                    }
+                }
+            }
+            this.refreshPartial(changed.concat(dropped));
+            this.redrawAll();
+            return changed;
+        },
+
+        // Normalize the nodes given to the selection methods into a list of
+        // {value, parents} objects, load and display their missing parents.
+        // The callback gets the values of the nodes found in the tree.
+        loadNodes: function (nodes, callback) {
+            var that = this, list = [], n;
+            if (!$.isArray(nodes)) {
+                nodes = [nodes];
+            }
+            for (n = 0; n < nodes.length; n += 1) {
+                list.push(typeof nodes[n] === 'object' ? nodes[n] :
+                    {value: nodes[n]});
+            }
+            this.loadPaths(list, function (loaded) {
+                var values = [], l;
+                for (l = 0; l < loaded.length; l += 1) {
+                    that.drawChildren(loaded[l]);
+                }
+                for (n = 0; n < list.length; n += 1) {
+                    if (that.itemTree.hasOwnProperty(list[n].value)) {
+                        values.push(list[n].value);
+                    }
+                }
+                callback(values);
+            });
+        },
+
+        // Check or uncheck the given items as if the user clicked them
+        checkNodes: function (nodes, state, callback) {
+            var that = this;
+            this.loadNodes(nodes, function (values) {
+                var pending = values.length + 1, v;
+                function done() {
+                    pending -= 1;
+                    if (pending === 0 && callback) {
+                        callback();
+                    }
+                }
+                for (v = 0; v < values.length; v += 1) {
+                    that.checkItem(values[v], state, 'api', done);
+                }
+                done();
+            });
+        },
+
+        // Check the given items as if the user clicked them
+        select: function (nodes, callback) {
+            this.checkNodes(nodes, true, callback);
+        },
+
+        // Uncheck the given items as if the user clicked them
+        unselect: function (nodes, callback) {
+            this.checkNodes(nodes, false, callback);
+        },
+
+        // Exclude the given items as if the user clicked them (in the
+        // include-exclude mode)
+        exclude: function (nodes, callback) {
+            this.checkNodes(nodes, 'excluded', callback);
+        },
+
+        // Replace the selection with the given items
+        setSelected: function (nodes, callback) {
+            var that = this;
+            this.loadNodes(nodes, function (values) {
+                var errors, saved, changed, v;
+                if (that.whenDecided(function () {
+                        that.setSelected(values, callback);
+                    })) {
+                    return;
+                }
+                errors = that.limitErrors();
+                saved = that.saveExclusions();
+                changed = that.checkAll(false);
+                for (v = 0; v < values.length; v += 1) {
+                    changed = changed.concat(that.setChecked(values[v], true));
+                }
+                if (that.blockLimits(errors, changed, saved)) {
+                    that.redrawAll();
+                    if (callback) {
+                        callback();
+                    }
+                    return;
+                }
+                that.options.onSelect.call(that);
+                that.notifyChange('api', null, changed);
+                if (callback) {
+                    callback();
+                }
+            });
+        },
+
+        // Check the item if it is not checked, uncheck it otherwise
+        toggleSelected: function (node, callback) {
+            var that = this;
+            this.loadNodes(node, function (values) {
+                if (values.length) {
+                    that.checkItem(values[0], that.nextState(values[0]),
+                        'api', callback);
+                } else if (callback) {
+                    callback();
+                }
+            });
+        },
+
         // Select all checkboxes
         selectAll: function () {
-            var root = this.list();
-            if (root.length) {
-                root.find('input').attr('checked', 'checked');
+            var that = this, errors, saved, changed;
+            if (this.whenDecided(function () {
+                    that.selectAll();
+                })) {
+                return;
+            }
+            errors = this.limitErrors();
+            saved = this.saveExclusions();
+            changed = this.checkAll(true);
+            if (this.blockLimits(errors, changed, saved)) {
+                this.redrawAll();
+                return;
             }
-            // If the widget was not displayed we don't know what to select
-            // (waiting for values to come)
             this.options.onSelect.call(this);
+            this.notifyChange('selectAll', null, changed);
         },
 
         // Select no checkboxes
         unselectAll: function () {
-            var root = this.list();
-            if (root.length) {
-                root.find('input').removeAttr('checked');
-            } else {
-                this.options.selected = [];
+            var that = this, errors, saved, changed;
+            if (this.whenDecided(function () {
+                    that.unselectAll();
+                })) {
+                return;
+            }
+            errors = this.limitErrors();
+            saved = this.saveExclusions();
+            changed = this.checkAll(false);
+            if (this.blockLimits(errors, changed, saved)) {
+                this.redrawAll();
+                return;
             }
             this.options.onSelect.call(this);
+            this.notifyChange('unselectAll', null, changed);
         },
 
         // Cleanup on CheckboxTree hide. Currently only resets the quick search